@@ -3,35 +3,96 @@
  * A modular library for communicating with digital dial gauges via serial connections
  */
 
+// Shared gauge modules from the repository root
+const Profiles = require('../gauge-profiles.js');
+const FrameParser = require('../gauge-parser.js');
+const Decoders = require('../gauge-decoders.js');
+const Readout = require('../gauge-readout.js');
+
 class SerialGaugeHandler {
     constructor(options = {}) {
+        // Gauge profile (gauge-profiles.js): an id such as 'mm-0.01' or a profile object
+        this.profile = Profiles.get(options.profile);
+
         // Configuration options
         this.options = {
             loggingEnabled: options.loggingEnabled !== undefined ? options.loggingEnabled : true,
             logCallback: options.logCallback || console.log,
             valueCallback: options.valueCallback || null,
-            defaultUnit: options.defaultUnit || 'mm',
+            defaultUnit: options.defaultUnit || this.profile.unit,
             bufferSize: options.bufferSize || 1024,
             ...options
         };
 
+        // Calibration correction, running statistics, the latest reading, the hold and the datums (gauge-readout.js),
+        // in the gauge's unit; values are converted to the display unit (currentUnit) only when handed to valueCallback
+        this.readout = new Readout({
+            unit: this.profile.unit,
+            displayUnit: this.options.defaultUnit,
+            displayDecimals: options.displayDecimals !== undefined ? options.displayDecimals : null,
+            datums: options.datums,
+            holdMode: options.holdMode,
+            statisticsWindowSize: options.statisticsWindowSize || 0,
+            statisticsWindowSeconds: options.statisticsWindowSeconds || 0
+        });
+
         // State tracking
-        this.currentUnit = this.options.defaultUnit;
-        this.offset = 0;
         this.recentMeasurements = [];
         this.MAX_RECENT_MEASUREMENTS = 5;
         this.hasReceivedNegativeValue = false;
         this.dataArray = [];
+
+        // Shared frame parser (gauge-parser.js), tried before the packet heuristics
+        this.frameParser = new FrameParser(this.profile);
+        this.framesLocked = false;
+
+        // Protocol decoders (gauge-decoders.js) for unframed data: ids or decoder objects, every
+        // registered decoder by default. The selector locks onto one that keeps winning.
+        this.decoderSelector = new Decoders.Selector(options.decoders || Decoders.list(), {
+            onLock: decoder => {
+                this.log(`INFO: Locked on decoder ${decoder.id} (${decoder.label})`);
+                if (this.options.decoderCallback) this.options.decoderCallback(decoder.id);
+            },
+            onUnlock: (decoder, misses) => {
+                if (misses) this.log(`WARNING: Decoder ${decoder.id} could not read ${misses} packets in a row, trying every decoder again`);
+                if (this.options.decoderCallback) this.options.decoderCallback(null);
+            },
+            onError: (decoder, error) => this.log(`WARNING: Decoder ${decoder.id} failed: ${error.message}`)
+        });
+
+        // Error correction from a calibration table (gauge-calibration.js), applied before the zero
+        if (options.calibration) this.setCalibration(options.calibration);
         
         // Bind methods
         this.log = this.log.bind(this);
+        this.processFrames = this.processFrames.bind(this);
+        this.setProfile = this.setProfile.bind(this);
+        this.setCalibration = this.setCalibration.bind(this);
+        this.correct = this.correct.bind(this);
+        this.getCalibrationStatus = this.getCalibrationStatus.bind(this);
         this.processPacket = this.processPacket.bind(this);
+        this.enableDecoder = this.enableDecoder.bind(this);
+        this.disableDecoder = this.disableDecoder.bind(this);
+        this.unlockDecoder = this.unlockDecoder.bind(this);
+        this.getDecoderStatus = this.getDecoderStatus.bind(this);
         this.isConsistentMeasurement = this.isConsistentMeasurement.bind(this);
         this.addToRecentMeasurements = this.addToRecentMeasurements.bind(this);
         this.updateValue = this.updateValue.bind(this);
         this.zeroGauge = this.zeroGauge.bind(this);
         this.toggleUnit = this.toggleUnit.bind(this);
+        this.presetGauge = this.presetGauge.bind(this);
+        this.undoZero = this.undoZero.bind(this);
+        this.selectDatum = this.selectDatum.bind(this);
+        this.setDisplayMode = this.setDisplayMode.bind(this);
+        this.showLatest = this.showLatest.bind(this);
+        this.setHoldMode = this.setHoldMode.bind(this);
+        this.resetHold = this.resetHold.bind(this);
+        this.getHold = this.getHold.bind(this);
+        this.setUnit = this.setUnit.bind(this);
+        this.formatValue = this.formatValue.bind(this);
         this.resetMemory = this.resetMemory.bind(this);
+        this.getStatistics = this.getStatistics.bind(this);
+        this.resetStatistics = this.resetStatistics.bind(this);
     }
 
     // Logging helper
@@ -52,6 +113,71 @@ class SerialGaugeHandler {
         return logMessage;
     }
 
+    // Switch gauge profile; serial settings apply on the next connect
+    setProfile(profile) {
+        this.profile = Profiles.get(profile);
+        this.frameParser.configure(this.profile);
+        this.framesLocked = false;
+        if (this.profile.unit !== this.gaugeUnit) {
+            // The readout keeps the zero where it was and starts the statistics and hold over
+            this.readout.setGaugeUnit(this.profile.unit);
+            this.recentMeasurements = [];
+        }
+        this.log(`Gauge profile set to ${this.profile.id} (${this.profile.digits} digits, ${this.profile.decimals} decimals, ${this.profile.unit})`);
+        return this.profile;
+    }
+
+    // Correct readings with a calibration table from now on (null to stop correcting)
+    setCalibration(table) {
+        const calibration = this.readout.setCalibration(table);
+        if (!calibration) {
+            this.log('Calibration cleared, readings are no longer corrected');
+            return null;
+        }
+        this.log(`Calibration set: ${calibration.method}, ${calibration.points.length} point(s)${calibration.due ? ', due ' + calibration.due : ''}`);
+        const warning = this.readout.calibrationWarning();
+        if (warning) this.log(`WARNING: ${warning}`, 'warning');
+        return calibration;
+    }
+
+    // A raw reading (before the zero) corrected with the calibration, if there is one
+    correct(value) {
+        return this.readout.correct(value);
+    }
+
+    // Due date of the calibration: { due, days, state: 'ok' | 'due-soon' | 'overdue' | 'unknown' }, or null without one
+    getCalibrationStatus() {
+        return this.readout.calibrationStatus();
+    }
+
+    // Feed a raw chunk through the shared frame parser. Returns true once the
+    // parser has locked onto framed gauge traffic, so the heuristics can be skipped.
+    processFrames(chunk) {
+        this.frameParser.feed(chunk).forEach(frame => {
+            const hexData = Array.from(frame.raw).map(b => b.toString(16).padStart(2, '0')).join(' ');
+            if (frame.type !== 'value') {
+                this.log(`INFO: Ignored frame (${frame.reason}): ${hexData}`);
+                return;
+            }
+            this.framesLocked = true;
+            const value = this.readout.add(frame.value);
+            const adjustedValue = value - this.offset;
+            this.log(`FRAME: ${frame.text} = ${adjustedValue.toFixed(3)} ${this.gaugeUnit}${this.calibration ? ' (calibrated)' : ''}`);
+            this.updateValue(adjustedValue);
+            this.dataArray.push({
+                timestamp: new Date().toISOString(),
+                value: adjustedValue,
+                unit: this.gaugeUnit,
+                raw: hexData,
+                method: 'Frame parser',
+                consistent: true,
+                ...(this.calibration ? { uncorrected: frame.value } : {})
+            });
+            this.addToRecentMeasurements(adjustedValue);
+        });
+        return this.framesLocked;
+    }
+
     // Process a packet of binary data
     processPacket(packet) {
         try {
@@ -71,137 +197,24 @@ class SerialGaugeHandler {
                 }
                 
                 if (pattern.value !== undefined) {
-                    this.updateValue(pattern.value, this.currentUnit);
+                    this.updateValue(pattern.value);
                     return;
                 }
             }
             
-            // Extract values using multiple strategies
-            let interpretations = [];
-            
-            // Strategy 1: ASCII string interpretation
-            try {
-                // In Node.js we can use Buffer.toString()
-                const textData = Buffer.from(packet).toString().trim();
-                
-                // Check for explicit decimal format (eg. -12.345)
-                const decimalMatch = textData.match(/^[-]?\d+\.\d{3}$/);
-                if (decimalMatch) {
-                    const value = parseFloat(decimalMatch[0]);
-                    if (!isNaN(value)) {
-                        interpretations.push({
-                            method: "Decimal format", 
-                            rawValue: value,
-                            adjustedValue: value - this.offset,
-                            confidence: "very high" 
-                        });
-                    }
-                }
-                
-                // Check for 6-digit format (eg. 012345 or -012345)
-                const digitMatch = textData.match(/^[-]?\d{6}$/);
-                if (digitMatch) {
-                    const numValue = parseInt(digitMatch[0], 10);
-                    if (!isNaN(numValue)) {
-                        // Convert to mm by dividing by 1000
-                        const measuredValue = numValue / 1000;
-                        interpretations.push({
-                            method: "6-digit format (÷1000)", 
-                            rawValue: numValue,
-                            adjustedValue: measuredValue - this.offset,
-                            confidence: "very high",
-                            isNegative: numValue < 0
-                        });
-                    }
-                }
-                
-                // Fall back to general numeric extraction
-                if (interpretations.length === 0) {
-                    const cleanedText = textData.replace(/[^\d.-]/g, '');
-                    if (cleanedText.length > 0) {
-                        const textValue = parseFloat(cleanedText);
-                        if (!isNaN(textValue)) {
-                            interpretations.push({
-                                method: "ASCII text", 
-                                rawValue: textValue,
-                                adjustedValue: textValue - this.offset,
-                                confidence: "medium"
-                            });
-                        }
-                    }
-                }
-            } catch (e) {
-                this.log(`Could not interpret as ASCII: ${e.message}`);
-            }
-            
-            // Strategy 2: 16-bit integer interpretation
-            if (packet.length >= 2) {
-                // Try as 16-bit with different byte orders
-                const value1 = (packet[packet.length-2] << 8) | packet[packet.length-1]; // big-endian
-                const value2 = (packet[packet.length-1] << 8) | packet[packet.length-2]; // little-endian
-                
-                // Test different scale factors
-                const scales = [1, 0.1, 0.01, 0.001];
-                
-                scales.forEach(scale => {
-                    const adjustedValue1 = value1 * scale - this.offset;
-                    const adjustedValue2 = value2 * scale - this.offset;
-                    
-                    // If values are in reasonable range for a digital gauge
-                    if (adjustedValue1 >= -100 && adjustedValue1 <= 100) {
-                        interpretations.push({
-                            method: `16-bit BE ×${scale}`, 
-                            rawValue: value1,
-                            adjustedValue: adjustedValue1,
-                            confidence: scale === 0.01 ? "high" : "medium" // Most gauges use 0.01mm precision
-                        });
-                    }
-                    
-                    if (adjustedValue2 >= -100 && adjustedValue2 <= 100) {
-                        interpretations.push({
-                            method: `16-bit LE ×${scale}`, 
-                            rawValue: value2,
-                            adjustedValue: adjustedValue2,
-                            confidence: scale === 0.01 ? "high" : "medium"
-                        });
-                    }
-                });
-            }
-            
-            // Strategy 3: 24-bit value 
-            if (packet.length >= 3) {
-                // Try big-endian 24-bit
-                const value = (packet[packet.length-3] << 16) | 
-                            (packet[packet.length-2] << 8) | 
-                            packet[packet.length-1];
-                
-                // Test different scale factors
-                const scales = [0.001, 0.0001, 0.00001];
-                
-                scales.forEach(scale => {
-                    const adjustedValue = value * scale - this.offset;
-                    if (adjustedValue >= -100 && adjustedValue <= 100) {
-                        interpretations.push({
-                            method: `24-bit ×${scale}`, 
-                            rawValue: value,
-                            adjustedValue: adjustedValue,
-                            confidence: "medium"
-                        });
-                    }
-                });
-            }
+            // Candidate readings from every enabled decoder, or only the one locked on, best first
+            // (ties go to the decoder listed first)
+            const interpretations = this.decoderSelector.candidates(packet).map(candidate => ({
+                ...candidate,
+                rawValue: candidate.raw,
+                adjustedValue: candidate.value - this.offset
+            }));
             
             // Log all interpretations
             if (interpretations.length > 0) {
                 this.log(`Found ${interpretations.length} possible interpretations:`);
                 interpretations.forEach(interp => {
-                    this.log(`  - ${interp.method}: raw=${interp.rawValue}, value=${interp.adjustedValue.toFixed(3)} ${this.currentUnit} (confidence: ${interp.confidence})`);
-                });
-                
-                // Sort by confidence
-                const confidenceOrder = {"very high": 4, "high": 3, "medium": 2, "low": 1};
-                interpretations.sort((a, b) => {
-                    return confidenceOrder[b.confidence] - confidenceOrder[a.confidence];
+                    this.log(`  - ${interp.method} [${interp.decoder.id}]: raw=${interp.rawValue}, value=${interp.adjustedValue.toFixed(3)} ${this.gaugeUnit} (confidence: ${interp.confidence})`);
                 });
                 
                 const bestInterp = interpretations[0];
@@ -209,29 +222,39 @@ class SerialGaugeHandler {
                 // Check if consistent with recent measurements
                 const consistentValue = this.isConsistentMeasurement(bestInterp.adjustedValue);
                 
-                if (consistentValue || bestInterp.confidence === "very high" || bestInterp.confidence === "high") {
-                    this.log(`SELECTED interpretation: ${bestInterp.method} = ${bestInterp.adjustedValue.toFixed(3)} ${this.currentUnit}`);
+                if (consistentValue || bestInterp.confidence >= Decoders.CONFIDENCE.HIGH) {
+                    this.log(`SELECTED interpretation: ${bestInterp.method} = ${bestInterp.adjustedValue.toFixed(3)} ${this.gaugeUnit}`);
+                    
+                    // Calibration correction applies to the gauge's own reading, before the zero
+                    const uncorrected = bestInterp.adjustedValue + this.offset;
+                    const value = this.readout.add(uncorrected);
+                    const adjustedValue = value - this.offset;
                     
                     // Update the gauge display via callback
-                    this.updateValue(bestInterp.adjustedValue, this.currentUnit);
+                    this.updateValue(adjustedValue);
                     
                     // Add to data array for export
                     this.dataArray.push({
                         timestamp: new Date().toISOString(),
-                        value: bestInterp.adjustedValue,
-                        unit: this.currentUnit,
+                        value: adjustedValue,
+                        unit: this.gaugeUnit,
                         raw: hexData,
                         method: bestInterp.method,
-                        consistent: consistentValue
+                        decoder: bestInterp.decoder.id,
+                        consistent: consistentValue,
+                        ...(this.calibration ? { uncorrected } : {})
                     });
                     
                     // Add to recent measurements
                     this.addToRecentMeasurements(bestInterp.adjustedValue);
+                    this.decoderSelector.track(bestInterp.decoder);
                 } else {
-                    this.log(`INFO: Skipping inconsistent measurement: ${bestInterp.adjustedValue.toFixed(3)} ${this.currentUnit}`);                        
+                    this.log(`INFO: Skipping inconsistent measurement: ${bestInterp.adjustedValue.toFixed(3)} ${this.gaugeUnit}`);                        
+                    this.decoderSelector.track(null);
                 }
             } else {
                 this.log(`WARNING: Could not interpret data - no valid measurements found`);
+                this.decoderSelector.track(null);
             }
         } catch (error) {
             this.log(`ERROR: Processing packet failed: ${error.message}`, 'error');
@@ -273,6 +296,33 @@ class SerialGaugeHandler {
         return null;
     }
 
+    // Add a decoder (an id or a decoder object, see gauge-decoders.js) after the enabled ones
+    enableDecoder(decoder) {
+        const enabled = this.decoderSelector.decoders.length;
+        const id = this.decoderSelector.enable(decoder);
+        if (this.decoderSelector.decoders.length > enabled) this.log(`INFO: Decoder ${id} enabled`);
+        return id;
+    }
+
+    // Stop trying a decoder; false if it wasn't enabled
+    disableDecoder(id) {
+        if (!this.decoderSelector.disable(id)) return false;
+        this.log(`INFO: Decoder ${id} disabled`);
+        return true;
+    }
+
+    // Drop the lock and guess from every enabled decoder again
+    unlockDecoder() {
+        this.decoderSelector.unlock();
+        return true;
+    }
+
+    // Which decoders are enabled and which is locked on; framed is true once the frame parser has
+    // locked onto the data, so the decoders aren't needed
+    getDecoderStatus() {
+        return { ...this.decoderSelector.status(), framed: this.framesLocked };
+    }
+
     // Check if measurement is consistent with recent values
     isConsistentMeasurement(value) {
         if (this.recentMeasurements.length === 0) {
@@ -325,56 +375,138 @@ class SerialGaugeHandler {
         }
     }
 
-    // Update the displayed value (via callback)
-    updateValue(value, unit) {
+    // Update the displayed value (via callback), converted from unit (the gauge's by default) to the display unit.
+    // In a hold mode the held value is shown instead, and the callback also gets the mode.
+    updateValue(value, unit = this.gaugeUnit) {
+        const held = unit === this.gaugeUnit ? this.readout.held() : null;
         // Call the provided callback with the value
         if (this.options.valueCallback) {
-            this.options.valueCallback(value, unit);
+            if (held !== null) this.options.valueCallback(this.readout.display(held, unit), this.currentUnit, this.hold.mode);
+            else this.options.valueCallback(this.readout.display(value, unit), this.currentUnit);
         }
     }
 
-    // Zero the gauge (set current reading as reference)
+    // A value as text in the display unit, at displayDecimals or the unit's usual resolution
+    formatValue(value, unit = this.gaugeUnit) {
+        return this.readout.format(value, unit);
+    }
+
+    // The gauge's own unit, the display unit and decimals, the calibration, statistics, latest
+    // reading, hold and datums are kept by the readout
+    get gaugeUnit() {
+        return this.readout.gaugeUnit;
+    }
+
+    get currentUnit() {
+        return this.readout.displayUnit;
+    }
+
+    get displayDecimals() {
+        return this.readout.displayDecimals;
+    }
+
+    set displayDecimals(decimals) {
+        this.readout.displayDecimals = decimals;
+    }
+
+    get calibration() {
+        return this.readout.calibration;
+    }
+
+    get statistics() {
+        return this.readout.statistics;
+    }
+
+    get lastReading() {
+        return this.readout.lastReading;
+    }
+
+    get hold() {
+        return this.readout.hold;
+    }
+
+    get datums() {
+        return this.readout.datums;
+    }
+
+    // Offset taken off every reading: the selected datum's, or the incremental zero
+    get offset() {
+        return this.readout.offset;
+    }
+
+    // Zero the gauge at the latest reading. currentValue, the displayed value, is still accepted.
     zeroGauge(currentValue) {
-        if (currentValue !== undefined) {
-            this.offset = currentValue + this.offset;
-            this.log(`Gauge zeroed. New offset: ${this.offset} ${this.currentUnit}`);
-            
-            // Update display with zero
-            this.updateValue(0, this.currentUnit);
-            return true;
-        }
-        return false;
+        const raw = currentValue !== undefined ? this.readout.fromDisplay(currentValue) + this.offset : this.lastReading;
+        if (!this.readout.zero(raw)) return false;
+        this.log(`Gauge zeroed${this.datums.mode === 'incremental' ? ' (incremental)' : ` (${this.datums.active})`}. New offset: ${this.offset} ${this.gaugeUnit}`);
+
+        // Update display with zero
+        this.updateValue(0);
+        return true;
     }
 
-    // Toggle between mm and inches
-    toggleUnit(currentValue) {
-        if (this.currentUnit === 'mm') {
-            this.currentUnit = 'in';
-            
-            // Convert from mm to inches if a value is provided
-            if (currentValue !== undefined) {
-                const inValue = currentValue * 0.03937;
-                this.updateValue(inValue, this.currentUnit);
-            }
-        } else {
-            this.currentUnit = 'mm';
-            
-            // Convert from inches to mm if a value is provided
-            if (currentValue !== undefined) {
-                const mmValue = currentValue * 25.4;
-                this.updateValue(mmValue, this.currentUnit);
-            }
-        }
-        
+    // Make the latest reading show value (in the display unit unless given), e.g. 12.7 over a gauge block
+    presetGauge(value, unit = this.currentUnit) {
+        if (!this.readout.preset(value, unit)) return false;
+        this.log(`Gauge preset to ${value} ${unit}. New offset: ${this.offset} ${this.gaugeUnit}`);
+        this.showLatest();
+        return true;
+    }
+
+    // Take back the last zero or preset
+    undoZero() {
+        if (!this.datums.undo()) return false;
+        this.log(`Zero undone. Offset: ${this.offset} ${this.gaugeUnit}`);
+        this.showLatest();
+        return true;
+    }
+
+    // Measure from another named datum, adding it at the gauge's own zero if it is new
+    selectDatum(name) {
+        this.readout.selectDatum(name);
+        this.log(`Datum ${this.datums.active} selected. Offset: ${this.datums.datum.offset} ${this.gaugeUnit}`);
+        this.showLatest();
+        return this.datums.active;
+    }
+
+    // 'absolute' (from the datum) or 'incremental' (from the last zero taken in incremental mode)
+    setDisplayMode(mode) {
+        this.datums.setMode(mode);
+        this.log(`Showing ${mode} readings`);
+        this.showLatest();
+        return mode;
+    }
+
+    // Show the latest reading again, e.g. after the zero or the unit changed
+    showLatest() {
+        if (this.lastReading !== null) this.updateValue(this.lastReading - this.offset);
+    }
+
+    // Show values in another unit ('mm', 'in', 'um' or 'thou'); the zero is kept in the gauge's unit,
+    // so it stays put. currentValue, if given, is the displayed value to show again in the new unit;
+    // otherwise the latest reading is.
+    setUnit(unit, currentValue) {
+        const previous = this.currentUnit;
+        this.readout.setDisplayUnit(unit);
+        if (currentValue !== undefined) this.updateValue(currentValue, previous);
+        else this.showLatest();
         this.log(`Unit changed to ${this.currentUnit}`);
         return this.currentUnit;
     }
 
+    // Toggle between mm and inches
+    toggleUnit(currentValue) {
+        return this.setUnit(this.currentUnit === 'mm' ? 'in' : 'mm', currentValue);
+    }
+
     // Reset measurement memory
     resetMemory() {
         this.recentMeasurements = [];
         this.hasReceivedNegativeValue = false;
-        this.log(`INFO: Memory reset - cleared measurement history and sign tracking`);
+        this.frameParser.reset();
+        this.framesLocked = false;
+        this.unlockDecoder();
+        this.log(`INFO: Memory reset - cleared measurement history, sign tracking and decoder lock`);
         return true;
     }
     
@@ -382,6 +514,39 @@ class SerialGaugeHandler {
     getData() {
         return this.dataArray;
     }
+
+    // Min, max, mean, standard deviation and range of the readings, relative to the current zero, in the display unit
+    getStatistics() {
+        return this.readout.displayStatistics();
+    }
+
+    // Start the statistics over, independently of the zero
+    resetStatistics() {
+        this.statistics.reset();
+        this.log('INFO: Statistics reset');
+        return true;
+    }
+
+    // 'off', 'max', 'min' or 'peak-to-peak'; the extremes are kept, so a new mode shows what was already held
+    setHoldMode(mode) {
+        this.hold.setMode(mode);
+        this.log(`INFO: Hold mode ${mode}`);
+        this.showLatest();
+        return mode;
+    }
+
+    // Hold again from the latest reading
+    resetHold() {
+        this.readout.resetHold();
+        this.log('INFO: Hold reset');
+        this.showLatest();
+        return true;
+    }
+
+    // The held value and extremes, relative to the current zero, in the display unit
+    getHold() {
+        return this.readout.displayHold();
+    }
 }
 
 // Export for Node.js
@@ -7,6 +7,9 @@
  * 
  * Usage:
  *   node test-serial.js [PORT] [BAUD]
+ *   node test-serial.js --auto [BAUD]         (probe the serial ports for the gauge, same as leaving out PORT)
+ *   node test-serial.js --list                (show serial ports with their USB vendor/product ids)
+ *   node test-serial.js --simulate [MOTION]   (virtual gauge, no hardware needed)
  *   
  *   Example: node test-serial.js /dev/ttyUSB0 9600
  */
@@ -23,15 +26,21 @@ try {
 
 // Import our SerialGaugeHandler (modified for Node.js)
 const SerialGaugeHandler = require('./serial-handler-node.js');
+const GaugeSimulator = require('../gauge-simulator.js');
+const GaugeProfiles = require('../gauge-profiles.js');
+const GaugeHold = require('../gauge-hold.js');
+const { listPorts, findGaugePort, formatPortList } = require('../serial-gauge-log.js');
 
 // Default settings
-const DEFAULT_PORT = '/dev/ttyUSB0';
 const DEFAULT_BAUD = 9600;
 
 // Get command line args
 const args = process.argv.slice(2);
-const PORT = args[0] || DEFAULT_PORT;
-const BAUD_RATE = parseInt(args[1] || DEFAULT_BAUD, 10);
+const LIST = args[0] === '--list';
+const SIMULATE = args[0] === '--simulate' ? (args[1] || 'sine') : null;
+const AUTO = !SIMULATE && (args[0] === '--auto' || !args[0]);
+let PORT = SIMULATE ? '/dev/gauge-sim' : (AUTO ? null : args[0]);
+const BAUD_RATE = SIMULATE ? DEFAULT_BAUD : parseInt(args[1] || DEFAULT_BAUD, 10);
 
 // Create a raw buffer to store incoming data
 let rawBuffer = Buffer.alloc(0);
@@ -44,8 +53,9 @@ const gaugeHandler = new SerialGaugeHandler({
     logCallback: (message, type) => {
         console.log(message);
     },
-    valueCallback: (value, unit) => {
-        console.log(`\n** MEASUREMENT: ${value.toFixed(3)} ${unit} **\n`);
+    valueCallback: (value, unit, holdMode) => {
+        const label = holdMode ? `${GaugeHold.LABELS[holdMode]} ` : '';
+        console.log(`\n** MEASUREMENT: ${label}${gaugeHandler.formatValue(value, unit)} ${unit} **\n`);
     }
 });
 
@@ -77,17 +87,35 @@ function logRawBuffer() {
 
 // Main function
 async function main() {
-    console.log(`Opening serial port ${PORT} at ${BAUD_RATE} baud...`);
+    if (LIST) {
+        console.log(formatPortList(await listPorts()));
+        process.exit(0);
+    }
+    if (AUTO) {
+        // Probe every port at our baud rate rather than guessing a device path
+        const defaults = GaugeProfiles.get();
+        const profile = { ...defaults, id: 'test-serial', serial: { ...defaults.serial, baudRate: BAUD_RATE } };
+        const found = await findGaugePort({ profile, logFunc: console.log });
+        if (!found) {
+            console.error('No gauge found on any serial port. Pass the port explicitly, or use --list to see them.');
+            process.exit(1);
+        }
+        PORT = found.path;
+    }
+    console.log(`Opening ${SIMULATE ? `simulated (${SIMULATE}) ` : ''}serial port ${PORT} at ${BAUD_RATE} baud...`);
     
     // Create serial port
-    const port = new SerialPort({
+    const portOptions = {
         path: PORT,
         baudRate: BAUD_RATE,
         dataBits: 8,
         parity: 'none',
         stopBits: 1,
         flowControl: false
-    });
+    };
+    const port = SIMULATE
+        ? GaugeSimulator.createMockSerialPort(portOptions, new GaugeSimulator({ motion: SIMULATE, noise: 0.002 }))
+        : new SerialPort(portOptions);
     
     // Set up event handlers
     port.on('open', () => {
@@ -117,8 +145,10 @@ async function main() {
         // Log updated buffer
         logRawBuffer();
         
-        // Process with our gauge handler
-        gaugeHandler.processPacket(new Uint8Array(data));
+        // Process with our gauge handler, falling back to the heuristics for unframed data
+        if (!gaugeHandler.processFrames(data)) {
+            gaugeHandler.processPacket(new Uint8Array(data));
+        }
     });
     
     // Handle keyboard input for commands
@@ -135,13 +165,41 @@ async function main() {
         // 'z' to zero the gauge
         if (key.toString() === 'z') {
             console.log('Zeroing the gauge...');
-            gaugeHandler.zeroGauge(0);
+            gaugeHandler.zeroGauge();
         }
-        
+
+        // 'x' to undo the last zero
+        if (key.toString() === 'x') {
+            console.log('Undoing the last zero...');
+            gaugeHandler.undoZero();
+        }
+
+        // 'i' to switch between absolute and incremental readings
+        if (key.toString() === 'i') {
+            gaugeHandler.setDisplayMode(gaugeHandler.datums.mode === 'absolute' ? 'incremental' : 'absolute');
+        }
+
+        // 'm' to step through the hold modes (off, max, min, peak-to-peak)
+        if (key.toString() === 'm') {
+            const modes = GaugeHold.MODES;
+            gaugeHandler.setHoldMode(modes[(modes.indexOf(gaugeHandler.hold.mode) + 1) % modes.length]);
+        }
+
+        // 'h' to hold again from the current reading
+        if (key.toString() === 'h') {
+            gaugeHandler.resetHold();
+        }
+
         // 'u' to toggle units
         if (key.toString() === 'u') {
             console.log('Toggling units...');
-            gaugeHandler.toggleUnit(0);
+            gaugeHandler.toggleUnit();
+        }
+        
+        // 'd' to show which decoder is locked on
+        if (key.toString() === 'd') {
+            const status = gaugeHandler.getDecoderStatus();
+            console.log(`Decoders: ${status.enabled.join(', ')}; locked on ${status.framed ? 'the frame parser' : status.locked || 'none yet'}`);
         }
         
         // 'c' to clear the buffer
@@ -0,0 +1,286 @@
+// gauge-bridge.js
+// Local HTTP/WebSocket bridge for sharing one gauge. Only one process can own the serial port,
+// so `serial-gauge-log.js serve` reads it and other tools on the bench get the readings from here.
+//
+//   GET    /latest            latest reading, 404 before the first one
+//   GET    /history?count=N   the last N readings (up to historySize), oldest first
+//   POST   /zero              zero at the latest reading
+//   DELETE /zero              clear the zero
+//   WebSocket /stream         {"type":"hello",...} on connect, then {"type":"reading",...} for every reading,
+//                             {"type":"status","connected":false} when the gauge goes away (and true when it
+//                             is back) and {"type":"zero","zeroOffset":...}. Send {"type":"zero"} or
+//                             {"type":"clear-zero"} to zero. Add ?raw=1 to also get {"type":"raw","hex":"..."}
+//                             for every raw chunk, e.g. to parse them yourself (index.html does).
+//                             With a stability detector on the reader, {"type":"stable","value":...,"since":...}
+//                             when the readings settle and {"type":"unstable"} when they move again.
+//
+// Readings are { timestamp, value, text, unit, raw, zeroOffset }, where value = raw - zeroOffset.
+// When the reader corrects readings with a calibration, raw is the corrected reading and
+// uncorrected is what the gauge itself sent.
+//
+//   const bridge = new GaugeBridge(reader, { historySize: 1000 });
+//   await bridge.listen(8080, '127.0.0.1');
+//
+// The WebSocket side is a minimal RFC 6455 server (unfragmented text frames, ping and close),
+// which is all browsers and the usual client libraries need.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+const MAX_FRAME_SIZE = 65536; // clients only send short commands
+
+class GaugeBridge {
+  // reader: a GaugeReader (serial-gauge-log.js); the bridge follows its events
+  constructor(reader, { historySize = 1000, logFunc } = {}) {
+    this.reader = reader;
+    this.historySize = Math.max(1, historySize);
+    this.logLine = logFunc || (() => {});
+    this.history = [];
+    this.latest = null;
+    this.zeroOffset = 0;
+    this.zeroUnit = null;
+    this.connected = !!(reader.port && reader.port.isOpen);
+    this.clients = new Set();
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    reader.on('open', () => this.setConnected(true));
+    reader.on('reconnect', () => this.setConnected(true));
+    reader.on('disconnect', () => this.setConnected(false));
+    reader.on('close', () => this.setConnected(false));
+    reader.on('value', reading => this.publish(reading));
+    reader.on('stable', reading => {
+      const decimals = (reading.text.split('.')[1] || '').length;
+      const value = Number((reading.value - this.zeroOffset).toFixed(decimals));
+      this.broadcast({ type: 'stable', timestamp: reading.timestamp, value, unit: reading.unit, since: reading.since });
+    });
+    reader.on('unstable', () => this.broadcast({ type: 'unstable' }));
+    reader.on('raw', chunk => this.broadcast({ type: 'raw', hex: Buffer.from(chunk).toString('hex') }, client => client.raw));
+  }
+
+  listen(port = 8080, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    this.clients.forEach(client => client.socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0))));
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  setConnected(connected) {
+    if (connected === this.connected) return;
+    this.connected = connected;
+    this.broadcast({ type: 'status', connected });
+  }
+
+  publish(reading) {
+    if (this.zeroUnit && reading.unit !== this.zeroUnit) {
+      // A zero taken in mm means nothing once the gauge reports inches
+      this.logLine(`[INFO] Gauge switched to ${reading.unit}; zero cleared`);
+      this.clearZero();
+    }
+    const decimals = (reading.text.split('.')[1] || '').length;
+    const value = Number((reading.value - this.zeroOffset).toFixed(decimals));
+    this.latest = {
+      timestamp: reading.timestamp,
+      value,
+      text: value.toFixed(decimals),
+      unit: reading.unit,
+      raw: reading.value,
+      uncorrected: reading.uncorrected,
+      zeroOffset: this.zeroOffset,
+    };
+    this.history.push(this.latest);
+    if (this.history.length > this.historySize) this.history.shift();
+    this.broadcast({ type: 'reading', ...this.latest });
+  }
+
+  zero() {
+    if (!this.latest) throw new Error('No reading to zero at yet');
+    this.zeroOffset = this.latest.raw;
+    this.zeroUnit = this.latest.unit;
+    this.logLine(`[INFO] Zeroed at ${this.zeroOffset} ${this.zeroUnit}`);
+    this.broadcast({ type: 'zero', zeroOffset: this.zeroOffset });
+    return this.zeroOffset;
+  }
+
+  clearZero() {
+    this.zeroOffset = 0;
+    this.zeroUnit = null;
+    this.broadcast({ type: 'zero', zeroOffset: 0 });
+  }
+
+  handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    // Other tools (and index.html on another origin) call this from the browser
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, POST, DELETE', 'Access-Control-Allow-Headers': 'Content-Type' });
+      res.end();
+      return;
+    }
+    const route = `${req.method} ${pathname}`;
+    if (route === 'GET /latest') {
+      if (!this.latest) sendJSON(res, 404, { error: 'No reading yet', connected: this.connected });
+      else sendJSON(res, 200, { ...this.latest, connected: this.connected });
+    } else if (route === 'GET /history') {
+      const count = parseInt(searchParams.get('count'), 10);
+      sendJSON(res, 200, count > 0 ? this.history.slice(-count) : this.history);
+    } else if (route === 'POST /zero') {
+      try {
+        sendJSON(res, 200, { zeroOffset: this.zero() });
+      } catch (err) {
+        sendJSON(res, 409, { error: err.message });
+      }
+    } else if (route === 'DELETE /zero') {
+      this.clearZero();
+      sendJSON(res, 200, { zeroOffset: 0 });
+    } else {
+      sendJSON(res, 404, { error: `Not found: ${route}` });
+    }
+  }
+
+  handleUpgrade(req, socket, head) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    if (pathname !== '/stream' || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    const client = { socket, raw: searchParams.get('raw') === '1', buffer: Buffer.alloc(0) };
+    this.clients.add(client);
+    socket.on('data', data => this.receive(client, data));
+    socket.on('close', () => this.clients.delete(client));
+    socket.on('error', () => {
+      this.clients.delete(client);
+      socket.destroy();
+    });
+    this.send(client, {
+      type: 'hello',
+      profile: this.reader.profile.id,
+      connected: this.connected,
+      zeroOffset: this.zeroOffset,
+      latest: this.latest,
+    });
+    if (head && head.length) this.receive(client, head);
+  }
+
+  receive(client, data) {
+    client.buffer = Buffer.concat([client.buffer, data]);
+    let frames;
+    try {
+      ({ frames, rest: client.buffer } = decodeFrames(client.buffer));
+    } catch (err) {
+      this.clients.delete(client);
+      client.socket.destroy();
+      return;
+    }
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === OPCODES.close) {
+        this.clients.delete(client);
+        client.socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+      } else if (opcode === OPCODES.ping) {
+        client.socket.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.text) {
+        this.command(client, payload.toString('utf8'));
+      }
+    });
+  }
+
+  // Commands from WebSocket clients
+  command(client, text) {
+    try {
+      const { type } = JSON.parse(text);
+      if (type === 'zero') this.zero();
+      else if (type === 'clear-zero') this.clearZero();
+      else throw new Error(`Unknown command: ${type}`);
+    } catch (err) {
+      this.send(client, { type: 'error', message: err.message });
+    }
+  }
+
+  send(client, message) {
+    if (client.socket.writable) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+  }
+
+  broadcast(message, filter = () => true) {
+    if (this.clients.size === 0) return;
+    const frame = encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)));
+    this.clients.forEach(client => {
+      if (filter(client) && client.socket.writable) client.socket.write(frame);
+    });
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body) + '\n');
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Split the complete frames off the front of a buffer: { frames: [{ opcode, payload }], rest }
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (length > MAX_FRAME_SIZE) throw new Error('WebSocket frame too large');
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    if (masked) pos += 4;
+    if (buffer.length < pos + length) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + length));
+    if (mask) payload.forEach((b, i) => { payload[i] = b ^ mask[i % 4]; });
+    frames.push({ opcode, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+module.exports = GaugeBridge;
@@ -0,0 +1,195 @@
+// gauge-calibration.js
+// Error correction from a calibration against reference gauge blocks: what the gauge read at each
+// nominal size, turned into a correction applied to every reading.
+//
+// Calibration table (JSON, one per gauge):
+//   {
+//     "gauge": "bore-1",
+//     "unit": "mm",
+//     "method": "piecewise",
+//     "points": [
+//       { "nominal": 0, "reading": 0 },
+//       { "nominal": 5, "reading": 5.004 },
+//       { "nominal": 10, "reading": 10.011 }
+//     ],
+//     "calibrated": "2026-03-02",
+//     "due": "2027-03-02"
+//   }
+// readings are what the gauge showed (before any zeroing) with the block of size nominal in place,
+// both in the table's unit ("mm", "in", "um" or "thou", see GaugeUnits). method "linear" fits a
+// straight line through the points (least squares; a single point is a plain offset), "piecewise"
+// interpolates between them and keeps the end points' error beyond the calibrated range.
+//
+//   const table = GaugeCalibration.normalize(json);
+//   GaugeCalibration.correct(table, 10.011);        // 10
+//   GaugeCalibration.correct(table, 0.394, 'in');   // corrected in the reading's own unit
+//   GaugeCalibration.dueStatus(table);               // { due: '2027-03-02', days: 120, state: 'ok' }
+//   GaugeCalibration.dueWarning(table);              // null, or 'Calibration of bore-1 is overdue ...'
+//
+// A Session steps through the nominal sizes while recording a new calibration:
+//   const session = new GaugeCalibration.Session({ nominals: [0, 5, 10], unit: 'mm' });
+//   session.current;          // 0: the block to measure next
+//   session.capture(0.001);   // what the gauge read on it
+//   session.table({ gauge: 'bore-1', method: 'linear', intervalDays: 365 });
+
+(function () {
+  const Units = typeof GaugeUnits !== 'undefined' ? GaugeUnits : require('./gauge-units.js');
+
+  const METHODS = ['linear', 'piecewise'];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DUE_WARNING_DAYS = 30;
+
+  function round(value) {
+    return Math.round(value * 1e6) / 1e6; // drop the floating point noise left by the fit
+  }
+
+  function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  function checkDate(name, value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (isNaN(Date.parse(value))) throw new Error(`Calibration ${name} date is not a date: ${value}`);
+    return String(value);
+  }
+
+  // Least squares line through the points: nominal = slope * reading + intercept
+  function fit(points) {
+    if (points.length === 1) return { slope: 1, intercept: points[0].nominal - points[0].reading };
+    const n = points.length;
+    const meanReading = points.reduce((sum, p) => sum + p.reading, 0) / n;
+    const meanNominal = points.reduce((sum, p) => sum + p.nominal, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    points.forEach(p => {
+      sxy += (p.reading - meanReading) * (p.nominal - meanNominal);
+      sxx += (p.reading - meanReading) * (p.reading - meanReading);
+    });
+    const slope = sxy / sxx;
+    return { slope, intercept: meanNominal - slope * meanReading };
+  }
+
+  // Check a table, sort its points by reading and work out the fit
+  function normalize(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !Array.isArray(data.points) || data.points.length === 0) throw new Error('Calibration needs a list of points');
+    const unit = Units.unit(data.unit || 'mm');
+    const method = data.method || 'piecewise';
+    if (!METHODS.includes(method)) throw new Error(`Unknown calibration method: ${method} (expected ${METHODS.join(' or ')})`);
+    const points = data.points.map((p, i) => {
+      const nominal = Number(p.nominal);
+      const reading = Number(p.reading);
+      if (p.nominal === null || p.reading === null || !isFinite(nominal) || !isFinite(reading)) {
+        throw new Error(`Calibration point ${i + 1} needs a numeric nominal and reading`);
+      }
+      return { nominal, reading };
+    }).sort((a, b) => a.reading - b.reading);
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].reading === points[i - 1].reading) throw new Error(`Two calibration points read ${points[i].reading} ${unit}`);
+    }
+    const calibrated = checkDate('calibrated', data.calibrated);
+    const due = checkDate('due', data.due);
+    const { slope, intercept } = fit(points);
+    const maxError = Math.max(...points.map(p => Math.abs(p.reading - p.nominal)));
+    return { gauge: data.gauge || null, unit, method, points, calibrated, due, slope, intercept, maxError: round(maxError) };
+  }
+
+  // The corrected value of a reading; unit is the reading's unit, which may differ from the table's
+  function correct(table, value, unit = table.unit) {
+    const reading = Units.convert(value, unit, table.unit);
+    let corrected;
+    if (table.method === 'linear') {
+      corrected = table.slope * reading + table.intercept;
+    } else {
+      const { points } = table;
+      const last = points.length - 1;
+      if (reading <= points[0].reading) {
+        corrected = reading + points[0].nominal - points[0].reading;
+      } else if (reading >= points[last].reading) {
+        corrected = reading + points[last].nominal - points[last].reading;
+      } else {
+        let i = 1;
+        while (points[i].reading < reading) i++;
+        const a = points[i - 1];
+        const b = points[i];
+        const t = (reading - a.reading) / (b.reading - a.reading);
+        corrected = a.nominal + t * (b.nominal - a.nominal);
+      }
+    }
+    return round(Units.convert(corrected, table.unit, unit));
+  }
+
+  // How long until the calibration is due: state is 'ok', 'due-soon' (within warnDays), 'overdue',
+  // or 'unknown' when the table has no due date
+  function dueStatus(table, now = new Date(), warnDays = DUE_WARNING_DAYS) {
+    if (!table.due) return { due: null, days: null, state: 'unknown' };
+    const due = new Date(table.due);
+    const days = Math.ceil((due.getTime() - now.getTime()) / DAY_MS);
+    return { due: table.due, days, state: days < 0 ? 'overdue' : days <= warnDays ? 'due-soon' : 'ok' };
+  }
+
+  // A warning to show when the calibration is overdue or nearly so, else null
+  function dueWarning(table, now = new Date(), warnDays = DUE_WARNING_DAYS) {
+    const { due, days, state } = dueStatus(table, now, warnDays);
+    const name = table.gauge ? `Calibration of ${table.gauge}` : 'Calibration';
+    if (state === 'overdue') return `${name} is overdue (was due ${due})`;
+    if (state === 'due-soon') return `${name} is due ${days === 0 ? 'today' : `in ${days} day(s)`} (${due})`;
+    return null;
+  }
+
+  class Session {
+    constructor({ nominals, unit = 'mm' } = {}) {
+      if (!Array.isArray(nominals) || nominals.length === 0) throw new Error('Calibration needs at least one nominal size');
+      unit = Units.unit(unit);
+      nominals.forEach(n => {
+        if (typeof n !== 'number' || !isFinite(n)) throw new Error(`Nominal sizes must be numbers (got ${n})`);
+      });
+      this.nominals = nominals;
+      this.unit = unit;
+      this.readings = nominals.map(() => null);
+      this.step = 0;
+    }
+
+    get current() {
+      return this.complete ? null : this.nominals[this.step];
+    }
+
+    get complete() {
+      return this.step >= this.nominals.length;
+    }
+
+    // Record what the gauge read (in the session's unit) on the current block and move on
+    capture(reading) {
+      if (this.complete) throw new Error('Every calibration point has been measured');
+      this.readings[this.step++] = round(reading);
+    }
+
+    // Step back to measure the previous block again
+    back() {
+      if (this.step > 0) this.step--;
+    }
+
+    // The recorded calibration, dated today and due intervalDays later
+    table({ gauge = null, method = 'piecewise', intervalDays = 365, now = new Date() } = {}) {
+      if (!this.complete) throw new Error('Calibration is not finished');
+      const due = intervalDays > 0 ? isoDate(new Date(now.getTime() + intervalDays * DAY_MS)) : null;
+      return normalize({
+        gauge,
+        unit: this.unit,
+        method,
+        points: this.nominals.map((nominal, i) => ({ nominal, reading: this.readings[i] })),
+        calibrated: isoDate(now),
+        due,
+      });
+    }
+  }
+
+  const GaugeCalibration = { METHODS, DUE_WARNING_DAYS, normalize, correct, dueStatus, dueWarning, Session };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeCalibration;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeCalibration = GaugeCalibration;
+  }
+})();
@@ -0,0 +1,174 @@
+// gauge-capture.js
+// Raw byte capture and replay sessions, for reproducing field issues without the gauge.
+//
+// Capture format (JSON Lines, so long captures can be appended as they run):
+//   {"type":"header","format":"gauge-capture","version":1,"profile":"mm-0.001","started":"2025-05-17T13:06:25.976Z"}
+//   {"t":0,"hex":"2d"}
+//   {"t":3.127,"hex":"003030393839310d12"}
+// where t is milliseconds since the capture started (high resolution where available).
+// Events such as a disconnect are noted as {"t":5012.5,"event":"disconnect"} and skipped on replay.
+// Recording again into the same file appends another header and session.
+// parse() also reads the JSON packet logs saved with the 's' key in test-serial.js.
+//
+// A Player replays a capture at real or accelerated speed. It has the same start()/stop()
+// interface as GaugeSimulator, so it can be used anywhere a simulated gauge can.
+
+(function () {
+  const FORMAT = 'gauge-capture';
+  const VERSION = 1;
+
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  function toHex(chunk) {
+    return Array.from(chunk).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    const clean = hex.replace(/\s+/g, '');
+    return Uint8Array.from({ length: clean.length / 2 }, (_, i) => parseInt(clean.substr(i * 2, 2), 16));
+  }
+
+  class Recorder {
+    constructor({ profile, onLine } = {}) {
+      this.profile = profile && typeof profile === 'object' ? profile.id : profile;
+      this.onLine = onLine;
+      this.lines = [];
+      this.chunks = 0;
+      this.startTime = null;
+    }
+
+    write(entry) {
+      const line = JSON.stringify(entry);
+      this.lines.push(line);
+      if (this.onLine) this.onLine(line + '\n');
+    }
+
+    record(chunk) {
+      if (this.startTime === null) {
+        this.startTime = now();
+        this.write({ type: 'header', format: FORMAT, version: VERSION, profile: this.profile, started: new Date().toISOString() });
+      }
+      this.write({ t: this.elapsed(), hex: toHex(chunk) });
+      this.chunks++;
+    }
+
+    // Note an event (e.g. 'disconnect') at the current time; nothing is noted before the first chunk
+    mark(event) {
+      if (this.startTime === null) return;
+      this.write({ t: this.elapsed(), event });
+    }
+
+    elapsed() {
+      return Math.round((now() - this.startTime) * 1000) / 1000;
+    }
+
+    get chunkCount() {
+      return this.chunks;
+    }
+
+    toJSONL() {
+      return this.lines.map(l => l + '\n').join('');
+    }
+  }
+
+  // Read a capture (JSONL text) or a test-serial.js packet log into { header, chunks: [{ t, bytes }] }
+  function parse(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')) return parsePacketLog(JSON.parse(trimmed));
+    let header = null;
+    let offset = 0; // sessions appended to the same file continue after the previous one
+    const chunks = [];
+    trimmed.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Capture line ${i + 1} is not valid JSON: ${err.message}`);
+      }
+      if (entry.type === 'header') {
+        if (entry.format !== FORMAT) throw new Error(`Not a ${FORMAT} file (format ${entry.format})`);
+        if (entry.version > VERSION) throw new Error(`Capture version ${entry.version} is newer than supported (${VERSION})`);
+        if (!header) header = entry;
+        offset = chunks.length ? chunks[chunks.length - 1].t : 0;
+      } else if (typeof entry.hex === 'string') {
+        chunks.push({ t: offset + (Number(entry.t) || 0), bytes: fromHex(entry.hex) });
+      }
+    });
+    if (!header) throw new Error('Capture has no header line');
+    return { header, chunks };
+  }
+
+  // test-serial.js logs its whole accumulated buffer each time, so each entry's new bytes
+  // are whatever follows the previous entry's hex
+  function parsePacketLog(entries) {
+    const first = entries.length ? Date.parse(entries[0].timestamp) : 0;
+    let previous = '';
+    const chunks = entries.map(entry => {
+      const hex = entry.hex || '';
+      const fresh = previous && hex.startsWith(previous) ? hex.slice(previous.length) : hex;
+      previous = hex;
+      return { t: Date.parse(entry.timestamp) - first, bytes: fromHex(fresh) };
+    }).filter(c => c.bytes.length > 0);
+    const header = { type: 'header', format: FORMAT, version: VERSION, profile: undefined, started: entries.length ? entries[0].timestamp : undefined };
+    return { header, chunks };
+  }
+
+  class Player {
+    // speed: 1 = real time, 10 = ten times faster, Infinity = as fast as possible
+    constructor(capture, { speed = 1 } = {}) {
+      this.capture = typeof capture === 'string' ? parse(capture) : capture;
+      this.speed = speed;
+      this.timer = null;
+      this.index = 0;
+    }
+
+    start(onChunk, onEnd) {
+      this.stop();
+      const { chunks } = this.capture;
+      this.index = 0;
+      const startTime = now();
+      const step = () => {
+        // Send everything that is due, then sleep until the next chunk
+        const elapsed = (now() - startTime) * this.speed;
+        while (this.index < chunks.length && (chunks[this.index].t <= elapsed || !isFinite(this.speed))) {
+          onChunk(chunks[this.index++].bytes);
+          if (!isFinite(this.speed)) break;
+        }
+        if (this.index >= chunks.length) {
+          // Report the end on a later tick so the last chunk is delivered first
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            if (onEnd) onEnd();
+          }, 0);
+          return;
+        }
+        const wait = isFinite(this.speed) ? (chunks[this.index].t - elapsed) / this.speed : 0;
+        this.timer = setTimeout(step, Math.max(0, wait));
+      };
+      this.timer = setTimeout(step, 0);
+      return this;
+    }
+
+    stop() {
+      if (this.timer) clearTimeout(this.timer);
+      this.timer = null;
+      return this;
+    }
+
+    get running() {
+      return this.timer !== null;
+    }
+  }
+
+  const GaugeCapture = { FORMAT, VERSION, Recorder, Player, parse, toHex, fromHex };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeCapture;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeCapture = GaugeCapture;
+  }
+})();
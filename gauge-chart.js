@@ -0,0 +1,389 @@
+// gauge-chart.js
+// Scrolling time-series chart of gauge readings on a <canvas>, for spotting drift and vibration at a glance.
+// Every sample is kept, but only the visible window is drawn, reduced to a min/max pair per pixel
+// column, so the chart stays smooth with tens of thousands of readings.
+//
+//   const chart = new GaugeChart(canvas, { windowMs: 60000, onInspect: point => console.log(point) });
+//   chart.setSeries(1, { label: 'Gauge 1', offset: zeroOffset, limits: [lower, upper] });
+//   chart.add(1, Date.now(), 12.345);
+//   chart.add(1, Date.now(), null); // a gap, e.g. the gauge was unplugged
+//
+// The mouse wheel zooms the time axis, dragging pans back through the history (pausing the live view)
+// and clicking picks the nearest reading. Values are in mm; series offsets and limits follow the
+// gauge zero, and setUnits() changes the displayed unit.
+
+(function () {
+  const COLORS = ['#337ab7', '#d9534f', '#5cb85c', '#f0ad4e', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
+  const MARGIN = { left: 60, right: 10, top: 10, bottom: 24 };
+  const MIN_WINDOW_MS = 100;
+  const PICK_RADIUS = 8; // px
+
+  // Index of the first sample at or after time t
+  function lowerBound(times, t) {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  class GaugeChart {
+    constructor(canvas, { windowMs = 60000, onInspect = null, onViewChange = null } = {}) {
+      this.canvas = canvas;
+      this.ctx = canvas.getContext('2d');
+      this.windowMs = windowMs; // 0 = all readings
+      this.onInspect = onInspect;
+      this.onViewChange = onViewChange;
+      this.series = new Map(); // id -> { label, color, offset, limits, times, values }
+      this.scale = 1; // display units per mm
+      this.unit = 'mm';
+      this.decimals = 3;
+      this.paused = false;
+      this.viewEnd = null; // right edge of the view while paused
+      this.selected = null;
+      this.frame = null;
+      this.attach();
+      this.requestDraw();
+    }
+
+    // Add or update a series: { label, color, offset (the zero, mm), limits ([lower, upper] relative to the zero, or null) }
+    setSeries(id, options = {}) {
+      let series = this.series.get(id);
+      if (!series) {
+        series = { label: String(id), color: COLORS[this.series.size % COLORS.length], offset: 0, limits: null, times: [], values: [] };
+        this.series.set(id, series);
+      }
+      Object.assign(series, options);
+      this.requestDraw();
+      return series;
+    }
+
+    add(id, time, value) {
+      const series = this.series.get(id) || this.setSeries(id);
+      // Readings arrive in order; anything older than the last sample would break the binary searches
+      if (series.times.length && time < series.times[series.times.length - 1]) return;
+      series.times.push(time);
+      series.values.push(value === null ? NaN : value);
+      if (!this.paused) this.requestDraw();
+    }
+
+    clear() {
+      this.series.forEach(s => {
+        s.times = [];
+        s.values = [];
+      });
+      this.selected = null;
+      this.requestDraw();
+    }
+
+    setUnits({ scale = 1, unit = 'mm', decimals = 3 } = {}) {
+      Object.assign(this, { scale, unit, decimals });
+      this.requestDraw();
+    }
+
+    setWindow(windowMs) {
+      this.windowMs = windowMs;
+      this.viewChanged();
+    }
+
+    pause() {
+      if (this.paused) return;
+      this.viewEnd = this.view().end;
+      this.paused = true;
+      this.viewChanged();
+    }
+
+    resume() {
+      this.paused = false;
+      this.viewEnd = null;
+      this.viewChanged();
+    }
+
+    // Scale the time window by factor, keeping anchorTime at the same place on screen when paused
+    zoom(factor, anchorTime) {
+      const { start, end } = this.view();
+      const span = end - start;
+      const newSpan = Math.max(MIN_WINDOW_MS, span * factor);
+      if (this.paused && anchorTime !== undefined) {
+        this.viewEnd = anchorTime + ((end - anchorTime) / span) * newSpan;
+      }
+      this.windowMs = newSpan;
+      this.viewChanged();
+    }
+
+    // Move the view by ms (negative = back in time); panning into the present resumes the live view
+    pan(ms) {
+      this.pause();
+      this.viewEnd += ms;
+      if (this.viewEnd >= Date.now()) this.resume();
+      else this.viewChanged();
+    }
+
+    view() {
+      const end = this.paused && this.viewEnd !== null ? this.viewEnd : Date.now();
+      let start = end - this.windowMs;
+      if (!(this.windowMs > 0)) {
+        start = end - MIN_WINDOW_MS;
+        this.series.forEach(s => {
+          if (s.times.length) start = Math.min(start, s.times[0]);
+        });
+      }
+      return { start, end };
+    }
+
+    plotArea() {
+      return {
+        x: MARGIN.left,
+        y: MARGIN.top,
+        w: this.canvas.width - MARGIN.left - MARGIN.right,
+        h: this.canvas.height - MARGIN.top - MARGIN.bottom,
+      };
+    }
+
+    display(series, value) {
+      return (value - series.offset) * this.scale;
+    }
+
+    // Nearest reading to a point on the canvas, within PICK_RADIUS pixels
+    inspect(x, y) {
+      const plot = this.plotArea();
+      const { start, end } = this.view();
+      const { lo, hi } = this.range || { lo: 0, hi: 1 };
+      const xOf = t => plot.x + ((t - start) / (end - start)) * plot.w;
+      const yOf = v => plot.y + plot.h - ((v - lo) / (hi - lo)) * plot.h;
+      const t = start + ((x - plot.x) / plot.w) * (end - start);
+      let best = null;
+      this.series.forEach((s, id) => {
+        const i = lowerBound(s.times, t);
+        for (const step of [-1, 1]) {
+          for (let j = step < 0 ? i - 1 : i; j >= 0 && j < s.times.length; j += step) {
+            const dx = xOf(s.times[j]) - x;
+            if (Math.abs(dx) > PICK_RADIUS) break;
+            const distance = Math.hypot(dx, yOf(this.display(s, s.values[j])) - y);
+            if (distance <= PICK_RADIUS && (!best || distance < best.distance)) {
+              best = { id, label: s.label, time: s.times[j], value: s.values[j], display: this.display(s, s.values[j]), unit: this.unit, distance };
+            }
+          }
+        }
+      });
+      this.selected = best;
+      if (this.onInspect) this.onInspect(best);
+      this.requestDraw();
+      return best;
+    }
+
+    viewChanged() {
+      if (this.onViewChange) this.onViewChange(this);
+      this.requestDraw();
+    }
+
+    requestDraw() {
+      if (this.frame) return;
+      const schedule = typeof requestAnimationFrame !== 'undefined' ? requestAnimationFrame : fn => setTimeout(fn, 16);
+      this.frame = schedule(() => this.draw());
+    }
+
+    // Visible samples of a series bucketed per pixel column: { x, first, min, max, last },
+    // or { x, gap: true } where the line breaks
+    reduce(series, start, end, plot) {
+      const { times, values } = series;
+      const from = Math.max(0, lowerBound(times, start) - 1);
+      const to = Math.min(times.length, lowerBound(times, end) + 1);
+      const columns = [];
+      let column = null;
+      for (let i = from; i < to; i++) {
+        const x = plot.x + ((times[i] - start) / (end - start)) * plot.w;
+        const v = this.display(series, values[i]);
+        if (Number.isNaN(v)) {
+          columns.push({ x, gap: true });
+          column = null;
+        } else if (column && Math.floor(x) === Math.floor(column.x)) {
+          column.min = Math.min(column.min, v);
+          column.max = Math.max(column.max, v);
+          column.last = v;
+        } else {
+          column = { x, first: v, min: v, max: v, last: v };
+          columns.push(column);
+        }
+      }
+      return columns;
+    }
+
+    draw() {
+      this.frame = null;
+      const { ctx, canvas } = this;
+      if (!ctx) return;
+      const plot = this.plotArea();
+      const { start, end } = this.view();
+      const reduced = [];
+      let lo = Infinity;
+      let hi = -Infinity;
+      this.series.forEach(s => {
+        const columns = this.reduce(s, start, end, plot);
+        columns.forEach(c => {
+          if (c.gap) return;
+          lo = Math.min(lo, c.min);
+          hi = Math.max(hi, c.max);
+        });
+        if (s.limits && columns.length) {
+          s.limits.forEach(l => {
+            lo = Math.min(lo, l * this.scale);
+            hi = Math.max(hi, l * this.scale);
+          });
+        }
+        reduced.push({ s, columns });
+      });
+      if (lo === Infinity) {
+        lo = -this.scale;
+        hi = this.scale;
+      }
+      const pad = hi - lo > 1e-9 ? (hi - lo) * 0.05 : 0.01 * this.scale;
+      lo -= pad;
+      hi += pad;
+      this.range = { lo, hi };
+      const xOf = t => plot.x + ((t - start) / (end - start)) * plot.w;
+      const yOf = v => plot.y + plot.h - ((v - lo) / (hi - lo)) * plot.h;
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.font = '11px monospace';
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#eee';
+      ctx.fillStyle = '#666';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (let i = 0; i <= 4; i++) {
+        const v = lo + ((hi - lo) * i) / 4;
+        const y = yOf(v);
+        ctx.beginPath();
+        ctx.moveTo(plot.x, y);
+        ctx.lineTo(plot.x + plot.w, y);
+        ctx.stroke();
+        ctx.fillText(v.toFixed(this.decimals), plot.x - 4, y);
+      }
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (let i = 0; i <= 4; i++) {
+        const t = start + ((end - start) * i) / 4;
+        const x = xOf(t);
+        ctx.beginPath();
+        ctx.moveTo(x, plot.y);
+        ctx.lineTo(x, plot.y + plot.h);
+        ctx.stroke();
+        ctx.fillText(new Date(t).toLocaleTimeString(), Math.min(Math.max(x, plot.x + 30), plot.x + plot.w - 30), plot.y + plot.h + 4);
+      }
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(plot.x, plot.y, plot.w, plot.h);
+      ctx.clip();
+      reduced.forEach(({ s, columns }) => {
+        ctx.strokeStyle = s.color;
+        if (s.limits && columns.length) {
+          // Tolerance limits
+          ctx.setLineDash([6, 4]);
+          s.limits.forEach(l => {
+            ctx.beginPath();
+            ctx.moveTo(plot.x, yOf(l * this.scale));
+            ctx.lineTo(plot.x + plot.w, yOf(l * this.scale));
+            ctx.stroke();
+          });
+          ctx.setLineDash([]);
+        }
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let penDown = false;
+        columns.forEach(c => {
+          if (c.gap) {
+            penDown = false;
+            return;
+          }
+          if (!penDown) ctx.moveTo(c.x, yOf(c.first));
+          else ctx.lineTo(c.x, yOf(c.first));
+          penDown = true;
+          if (c.min !== c.max) {
+            ctx.lineTo(c.x, yOf(c.min));
+            ctx.lineTo(c.x, yOf(c.max));
+            ctx.lineTo(c.x, yOf(c.last));
+          }
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+      });
+      if (this.selected && this.series.has(this.selected.id)) {
+        const s = this.series.get(this.selected.id);
+        ctx.strokeStyle = '#000';
+        ctx.beginPath();
+        ctx.arc(xOf(this.selected.time), yOf(this.display(s, this.selected.value)), 4, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+      ctx.restore();
+
+      // Legend
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      let legendX = plot.x + 6;
+      this.series.forEach(s => {
+        ctx.fillStyle = s.color;
+        ctx.fillText(s.label, legendX, plot.y + 4);
+        legendX += ctx.measureText(s.label).width + 12;
+      });
+      ctx.fillStyle = '#666';
+      ctx.textAlign = 'right';
+      ctx.fillText(this.unit + (this.paused ? ' (paused)' : ''), plot.x + plot.w - 4, plot.y + 4);
+    }
+
+    attach() {
+      const { canvas } = this;
+      const position = e => {
+        const rect = canvas.getBoundingClientRect();
+        const sx = rect.width ? canvas.width / rect.width : 1;
+        const sy = rect.height ? canvas.height / rect.height : 1;
+        return { x: (e.clientX - rect.left) * sx, y: (e.clientY - rect.top) * sy };
+      };
+      let drag = null;
+      canvas.addEventListener('wheel', e => {
+        e.preventDefault();
+        const { x } = position(e);
+        const plot = this.plotArea();
+        const { start, end } = this.view();
+        this.zoom(e.deltaY > 0 ? 1.25 : 0.8, start + ((x - plot.x) / plot.w) * (end - start));
+      });
+      canvas.addEventListener('mousedown', e => {
+        const { start, end } = this.view();
+        drag = { x: position(e).x, end, msPerPixel: (end - start) / this.plotArea().w, moved: false };
+      });
+      canvas.addEventListener('mousemove', e => {
+        if (!drag) return;
+        const dx = position(e).x - drag.x;
+        if (Math.abs(dx) > 3) drag.moved = true;
+        if (!drag.moved) return;
+        this.pause();
+        this.viewEnd = drag.end - dx * drag.msPerPixel;
+        if (this.viewEnd >= Date.now()) this.resume();
+        else this.viewChanged();
+      });
+      canvas.addEventListener('mouseup', e => {
+        if (drag && !drag.moved) {
+          const { x, y } = position(e);
+          this.inspect(x, y);
+        }
+        drag = null;
+      });
+      canvas.addEventListener('mouseleave', () => {
+        drag = null;
+      });
+    }
+  }
+
+  GaugeChart.COLORS = COLORS;
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeChart;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeChart = GaugeChart;
+  }
+})();
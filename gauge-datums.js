@@ -0,0 +1,156 @@
+// gauge-datums.js
+// Zeroing beyond a single zero: preset values, several named datums to switch between, absolute
+// and incremental readings like the gauge's own ABS/INC modes, and undo. Shared by the web page
+// and SerialGaugeHandler.
+//
+// Each datum is an offset taken off the raw reading, so display = raw - offset. Absolute readings
+// are measured from the selected datum; incremental ones from a quick zero on top of it that
+// leaves the datum alone. Offsets are in whatever unit the raw readings are in.
+//
+//   const datums = new GaugeDatums();     // one datum, 'Datum 1', at the gauge's own zero
+//   datums.preset(raw, 12.7);             // the current reading now shows 12.7 (e.g. over a gauge block)
+//   datums.zero(raw);                     // or 0
+//   datums.add('Fixture B');              // a second datum, selected
+//   datums.setMode('incremental');
+//   datums.zero(raw);                     // zero for incremental readings; the datum is kept
+//   datums.display(raw);                  // raw - datums.offset
+//   datums.undo();                        // take back the last zero or preset
+//   new GaugeDatums(datums.toJSON());     // as saved
+
+(function () {
+  const MODES = ['absolute', 'incremental'];
+  const UNDO_LIMIT = 20;
+
+  // 12 significant digits drops the floating point noise of raw - preset
+  function tidy(value) {
+    return Number(value.toPrecision(12));
+  }
+
+  function checkDatum(datums, name, offset) {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('A datum needs a name');
+    if (datums.some(d => d.name === name.trim())) throw new Error(`There is already a datum called ${name.trim()}`);
+    if (typeof offset !== 'number' || !isFinite(offset)) throw new Error(`Datum ${name} needs a numeric offset`);
+  }
+
+  class GaugeDatums {
+    constructor({ datums = [{ name: 'Datum 1', offset: 0 }], active, mode = 'absolute', incremental = null } = {}) {
+      if (!Array.isArray(datums) || datums.length === 0) throw new Error('Datums need at least one datum');
+      this.datums = [];
+      datums.forEach(d => {
+        const offset = d.offset === undefined ? 0 : d.offset;
+        checkDatum(this.datums, d.name, offset);
+        this.datums.push({ name: d.name.trim(), offset });
+      });
+      this.active = this.datums.some(d => d.name === active) ? active : this.datums[0].name;
+      if (!MODES.includes(mode)) throw new Error(`Unknown datum mode: ${mode} (expected ${MODES.join(' or ')})`);
+      this.mode = mode;
+      this.incremental = typeof incremental === 'number' && isFinite(incremental) ? incremental : null;
+      this.history = [];
+    }
+
+    get datum() {
+      return this.datums.find(d => d.name === this.active);
+    }
+
+    // The offset taken off raw readings in the current mode
+    get offset() {
+      return this.mode === 'incremental' && this.incremental !== null ? this.incremental : this.datum.offset;
+    }
+
+    get canUndo() {
+      return this.history.length > 0;
+    }
+
+    display(raw) {
+      return raw - this.offset;
+    }
+
+    // Make the raw reading show `value`: in absolute mode by moving the datum, in incremental
+    // mode by moving the incremental zero
+    preset(raw, value = 0) {
+      if (typeof raw !== 'number' || !isFinite(raw)) throw new Error('No reading to preset at');
+      if (typeof value !== 'number' || !isFinite(value)) throw new Error('Preset value must be a number');
+      this.remember();
+      if (this.mode === 'incremental') this.incremental = tidy(raw - value);
+      else this.datum.offset = tidy(raw - value);
+      return this.offset;
+    }
+
+    zero(raw) {
+      return this.preset(raw, 0);
+    }
+
+    // A new datum at offset (the gauge's own zero by default), selected
+    add(name, offset = 0) {
+      checkDatum(this.datums, name, offset);
+      this.datums.push({ name: name.trim(), offset });
+      return this.select(name.trim());
+    }
+
+    select(name) {
+      if (!this.datums.some(d => d.name === name)) throw new Error(`Unknown datum: ${name}`);
+      this.active = name;
+      return this.datum;
+    }
+
+    remove(name = this.active) {
+      if (this.datums.length === 1) throw new Error('The last datum cannot be removed');
+      if (!this.datums.some(d => d.name === name)) throw new Error(`Unknown datum: ${name}`);
+      this.remember();
+      this.datums = this.datums.filter(d => d.name !== name);
+      if (this.active === name) this.active = this.datums[0].name;
+    }
+
+    // Switching to incremental the first time starts from the datum, as the gauge does
+    setMode(mode) {
+      if (!MODES.includes(mode)) throw new Error(`Unknown datum mode: ${mode} (expected ${MODES.join(' or ')})`);
+      if (mode === 'incremental' && this.incremental === null) this.incremental = this.datum.offset;
+      this.mode = mode;
+      return mode;
+    }
+
+    toggleMode() {
+      return this.setMode(this.mode === 'absolute' ? 'incremental' : 'absolute');
+    }
+
+    // Take back the last zero, preset or removal; false if there is nothing to undo
+    undo() {
+      const state = this.history.pop();
+      if (!state) return false;
+      Object.assign(this, state);
+      return true;
+    }
+
+    // Every offset back to the gauge's own zero, without undo, e.g. after a calibration change
+    reset() {
+      this.datums.forEach(d => { d.offset = 0; });
+      this.incremental = null;
+      this.history = [];
+    }
+
+    // Multiply every offset by factor, e.g. 25.4 when the readings change from inches to mm
+    scale(factor) {
+      this.datums.forEach(d => { d.offset = tidy(d.offset * factor); });
+      if (this.incremental !== null) this.incremental = tidy(this.incremental * factor);
+      this.history = [];
+    }
+
+    remember() {
+      this.history.push({ datums: this.datums.map(d => ({ ...d })), active: this.active, incremental: this.incremental });
+      if (this.history.length > UNDO_LIMIT) this.history.shift();
+    }
+
+    toJSON() {
+      return { datums: this.datums.map(d => ({ ...d })), active: this.active, mode: this.mode, incremental: this.incremental };
+    }
+  }
+
+  GaugeDatums.MODES = MODES;
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeDatums;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeDatums = GaugeDatums;
+  }
+})();
@@ -0,0 +1,245 @@
+// gauge-decoders.js
+// Protocol decoders for SerialGaugeHandler's packet heuristics, used when the data isn't the
+// framed traffic gauge-parser.js understands. Each decoder is a plugin that reads packets of bytes
+// and returns candidate readings with a confidence; the handler picks the best candidate and locks
+// onto a decoder once it keeps winning.
+//
+// A decoder has an id, a label and feed(bytes), which returns frames:
+//   { value, raw, method, confidence }
+// value is the gauge's reading (before any zero), raw what it was decoded from, method a
+// description for the log, and confidence a number from 0 to 1 (see CONFIDENCE). Decoders that
+// keep state between packets give create() instead of feed, returning a fresh { feed, reset }.
+//
+//   GaugeDecoders.register({
+//     id: 'my-protocol',
+//     label: 'My gauge: 0x02, then a 16-bit reading in hundredths',
+//     feed(bytes) {
+//       if (bytes.length !== 3 || bytes[0] !== 0x02) return [];
+//       const raw = (bytes[1] << 8) | bytes[2];
+//       return [{ value: raw / 100, raw, method: 'My protocol', confidence: GaugeDecoders.CONFIDENCE.VERY_HIGH }];
+//     },
+//   });
+//   new SerialGaugeHandler({ decoders: ['my-protocol', 'ascii-decimal'] });
+//
+// The handler's choice between them is a Selector, which locks onto a decoder that keeps winning:
+//
+//   const selector = new GaugeDecoders.Selector(['my-protocol', 'ascii-decimal'], { onLock: d => console.log(d.id) });
+//   const [best] = selector.candidates(bytes);   // { ...frame, decoder }, best first
+//   selector.track(best ? best.decoder : null);  // the winner, or null for a packet with no reading
+//   selector.status();                           // { enabled: ['my-protocol', 'ascii-decimal'], locked: null }
+
+(function () {
+  const CONFIDENCE = { VERY_HIGH: 0.9, HIGH: 0.7, MEDIUM: 0.5, LOW: 0.3 };
+  const MAX_READING = 100; // anything beyond this either way isn't a dial gauge reading
+
+  function decodeText(bytes) {
+    return (typeof TextDecoder !== 'undefined' ? new TextDecoder().decode(bytes) : Buffer.from(bytes).toString()).trim();
+  }
+
+  function inRange(value) {
+    return value >= -MAX_READING && value <= MAX_READING;
+  }
+
+  const BUILTIN = [
+    {
+      id: 'ascii-decimal',
+      label: 'ASCII decimal (-12.345)',
+      feed(bytes) {
+        const text = decodeText(bytes);
+        if (!/^-?\d+\.\d{3}$/.test(text)) return [];
+        return [{ value: parseFloat(text), raw: text, method: 'Decimal format', confidence: CONFIDENCE.VERY_HIGH }];
+      },
+    },
+    {
+      id: 'ascii-digits',
+      label: 'ASCII 6 digits in thousandths (012345)',
+      feed(bytes) {
+        const text = decodeText(bytes);
+        if (!/^-?\d{6}$/.test(text)) return [];
+        const raw = parseInt(text, 10);
+        return [{ value: raw / 1000, raw, method: '6-digit format (÷1000)', confidence: CONFIDENCE.VERY_HIGH }];
+      },
+    },
+    {
+      id: 'ascii-text',
+      label: 'Any number in ASCII text',
+      feed(bytes) {
+        const cleaned = decodeText(bytes).replace(/[^\d.-]/g, '');
+        const value = parseFloat(cleaned);
+        if (!cleaned || isNaN(value)) return [];
+        return [{ value, raw: value, method: 'ASCII text', confidence: CONFIDENCE.MEDIUM }];
+      },
+    },
+    {
+      id: 'int16',
+      label: '16-bit integer, either byte order',
+      feed(bytes) {
+        if (bytes.length < 2) return [];
+        const n = bytes.length;
+        const be = (bytes[n - 2] << 8) | bytes[n - 1];
+        const le = (bytes[n - 1] << 8) | bytes[n - 2];
+        const frames = [];
+        [1, 0.1, 0.01, 0.001].forEach(scale => {
+          const confidence = scale === 0.01 ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM; // most gauges use 0.01 mm precision
+          if (inRange(be * scale)) frames.push({ value: be * scale, raw: be, method: `16-bit BE ×${scale}`, confidence });
+          if (inRange(le * scale)) frames.push({ value: le * scale, raw: le, method: `16-bit LE ×${scale}`, confidence });
+        });
+        return frames;
+      },
+    },
+    {
+      id: 'int24',
+      label: '24-bit integer, big endian',
+      feed(bytes) {
+        if (bytes.length < 3) return [];
+        const n = bytes.length;
+        const raw = (bytes[n - 3] << 16) | (bytes[n - 2] << 8) | bytes[n - 1];
+        return [0.001, 0.0001, 0.00001]
+          .filter(scale => inRange(raw * scale))
+          .map(scale => ({ value: raw * scale, raw, method: `24-bit ×${scale}`, confidence: CONFIDENCE.MEDIUM }));
+      },
+    },
+  ];
+
+  const decoders = new Map();
+
+  // Check a decoder, throwing on anything the handler can't use
+  function normalize(decoder) {
+    if (!decoder || typeof decoder !== 'object') throw new Error('Decoder must be an object');
+    const { id, label = decoder.id, feed, reset, create } = decoder;
+    if (!id || typeof id !== 'string') throw new Error('Decoder needs a string id');
+    if (typeof feed !== 'function' && typeof create !== 'function') throw new Error(`Decoder ${id} needs a feed(bytes) or create() function`);
+    return { id, label, create: create || (() => ({ feed, reset })) };
+  }
+
+  const GaugeDecoders = {
+    CONFIDENCE,
+
+    register(decoder) {
+      const normalized = normalize(decoder);
+      decoders.set(normalized.id, normalized);
+      return normalized;
+    },
+
+    // Look up a decoder by id; decoder objects are normalized and passed through
+    get(idOrDecoder) {
+      if (typeof idOrDecoder === 'object') return normalize(idOrDecoder);
+      const decoder = decoders.get(idOrDecoder);
+      if (!decoder) throw new Error(`Unknown decoder: ${idOrDecoder} (expected ${Array.from(decoders.keys()).join(', ')})`);
+      return decoder;
+    },
+
+    list() {
+      return Array.from(decoders.values());
+    },
+
+    // A decoder ready to feed, with its own state: { id, label, feed(bytes), reset() }
+    create(idOrDecoder) {
+      const { id, label, create } = GaugeDecoders.get(idOrDecoder);
+      const instance = create();
+      if (!instance || typeof instance.feed !== 'function') throw new Error(`Decoder ${id}: create() must return an object with feed(bytes)`);
+      return {
+        id,
+        label,
+        feed: bytes => instance.feed(bytes) || [],
+        reset: () => {
+          if (typeof instance.reset === 'function') instance.reset();
+        },
+      };
+    },
+  };
+
+  // The decoders tried on each packet, and the one locked onto: a decoder that wins lockPackets
+  // packets in a row is locked on and fed alone, until it fails to read unlockMisses packets in a
+  // row. onLock(decoder) and onUnlock(decoder, misses) report the lock (misses is 0 when it was
+  // dropped by hand); onError(decoder, error) a decoder that threw.
+  class Selector {
+    constructor(decoders = GaugeDecoders.list(), { lockPackets = 3, unlockMisses = 5, onLock, onUnlock, onError } = {}) {
+      this.decoders = decoders.map(d => GaugeDecoders.create(d));
+      this.lockPackets = lockPackets;
+      this.unlockMisses = unlockMisses;
+      this.onLock = onLock;
+      this.onUnlock = onUnlock;
+      this.onError = onError;
+      this.locked = null;
+      this.streak = { decoder: null, count: 0 };
+      this.misses = 0;
+    }
+
+    // Candidate readings from every enabled decoder, or only the one locked on, as
+    // { ...frame, decoder }: best first, ties going to the decoder listed first
+    candidates(bytes) {
+      const candidates = [];
+      (this.locked ? [this.locked] : this.decoders).forEach(decoder => {
+        try {
+          decoder.feed(bytes).forEach(frame => {
+            if (typeof frame.value === 'number' && isFinite(frame.value)) candidates.push({ ...frame, decoder });
+          });
+        } catch (err) {
+          if (this.onError) this.onError(decoder, err);
+        }
+      });
+      return candidates.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Count a packet's winner towards the lock; decoder is null for a packet that gave no reading
+    track(decoder) {
+      if (this.locked) {
+        if (decoder) {
+          this.misses = 0;
+        } else if (++this.misses >= this.unlockMisses) {
+          this.unlock(this.misses);
+        }
+        return;
+      }
+      const count = decoder && decoder === this.streak.decoder ? this.streak.count + 1 : 1;
+      this.streak = { decoder, count: decoder ? count : 0 };
+      if (decoder && count >= this.lockPackets) {
+        this.locked = decoder;
+        this.misses = 0;
+        if (this.onLock) this.onLock(decoder);
+      }
+    }
+
+    // Add a decoder (an id or a decoder object) after the enabled ones; returns its id
+    enable(decoder) {
+      const created = GaugeDecoders.create(decoder);
+      if (!this.decoders.some(d => d.id === created.id)) this.decoders.push(created);
+      return created.id;
+    }
+
+    // Stop trying a decoder; false if it wasn't enabled
+    disable(id) {
+      const decoder = this.decoders.find(d => d.id === id);
+      if (!decoder) return false;
+      if (decoder === this.locked) this.unlock();
+      this.decoders = this.decoders.filter(d => d !== decoder);
+      return true;
+    }
+
+    // Drop the lock and guess from every enabled decoder again
+    unlock(misses = 0) {
+      const was = this.locked;
+      this.locked = null;
+      this.streak = { decoder: null, count: 0 };
+      this.misses = 0;
+      this.decoders.forEach(d => d.reset());
+      if (was && this.onUnlock) this.onUnlock(was, misses);
+    }
+
+    status() {
+      return { enabled: this.decoders.map(d => d.id), locked: this.locked ? this.locked.id : null };
+    }
+  }
+
+  GaugeDecoders.Selector = Selector;
+
+  BUILTIN.forEach(d => GaugeDecoders.register(d));
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeDecoders;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeDecoders = GaugeDecoders;
+  }
+})();
@@ -0,0 +1,170 @@
+// gauge-discovery.js
+// Working out the protocol of a gauge there is no profile for yet: which serial settings give
+// sensible traffic, and which digit count, decimals, unit and sign turn its frames into the
+// positions the spindle was moved to. Used by the web page's discovery wizard; the result is a
+// gauge profile (gauge-profiles.js) that can be saved and reused.
+//
+//   GaugeDiscovery.SERIAL_CANDIDATES;                  // serial settings to try, most common first
+//   const scan = GaugeDiscovery.scoreTraffic(bytes);   // { score, terminators, digits, frames, reason }
+//   const frames = GaugeDiscovery.splitFrames(bytes, scan.terminators);   // [{ text, digits, negative }]
+//   const proposal = GaugeDiscovery.propose({
+//     samples: [{ position: 0, frame }, { position: 5, frame }],   // the frame read at each position
+//     unit: 'mm',                       // unit the positions are in
+//     serial, terminators: scan.terminators,
+//   });
+//   proposal.profile;                   // ready for GaugeProfiles.register()
+//   proposal.offset;                    // the gauge's reading at position 0, in the positions' unit
+//   proposal.maxError;                  // worst disagreement with a position, in the positions' unit
+//
+// Only ASCII frames ending in a control byte (what gauge-parser.js reads) can be discovered; for
+// binary traffic see gauge-decoders.js.
+
+(function () {
+  const Units = typeof GaugeUnits !== 'undefined' ? GaugeUnits : require('./gauge-units.js');
+  const Profiles = typeof GaugeProfiles !== 'undefined' ? GaugeProfiles : require('./gauge-profiles.js');
+
+  const BAUD_RATES = [9600, 4800, 2400, 1200, 19200, 38400, 57600, 115200];
+  const FRAMINGS = [
+    { dataBits: 8, parity: 'none', stopBits: 1 },
+    { dataBits: 7, parity: 'even', stopBits: 1 },
+    { dataBits: 7, parity: 'odd', stopBits: 1 },
+  ];
+  const SERIAL_CANDIDATES = [].concat(...FRAMINGS.map(f => BAUD_RATES.map(baudRate => ({ baudRate, ...f, flowControl: 'none' }))));
+
+  const MIN_BYTES = 8;
+  const GOOD_SCORE = 0.9; // clean frames with a steady digit count; no need to try further settings
+  const MAX_DECIMALS = 6;
+  const MAX_OFFSET_MM = 100; // a gauge's own zero further than this from the positions is no fit
+  const TOLERANCE = 0.01; // of the travel between the positions, when none is given
+  // Units tried for the gauge; µm and thou are mm and in with more decimals, so they'd only tie
+  const GAUGE_UNITS = ['mm', 'in'];
+  const MINUS = 0x2d;
+
+  function isDigit(b) {
+    return b >= 0x30 && b <= 0x39;
+  }
+
+  // Bytes seen in ASCII gauge traffic: digits, sign, point, space and line endings
+  function isGaugeByte(b) {
+    return isDigit(b) || b === MINUS || b === 0x2b || b === 0x2e || b === 0x20 || (b > 0x00 && b < 0x20);
+  }
+
+  function mostCommon(values) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    let best = null;
+    counts.forEach((count, value) => {
+      if (best === null || count > best.count) best = { value, count };
+    });
+    return best;
+  }
+
+  function round(value, digits) {
+    return Number(value.toFixed(digits));
+  }
+
+  function describeSerial({ baudRate, dataBits, parity, stopBits }) {
+    return `${baudRate} baud ${dataBits}${parity[0].toUpperCase()}${stopBits}`;
+  }
+
+  // Complete frames in bytes, split at any of the terminators. Anything before the first terminator
+  // may be the end of a frame sent before listening started, so it is left out, as are frames
+  // without digits (e.g. between the two bytes of "\r\n").
+  function splitFrames(bytes, terminators) {
+    const frames = [];
+    let current = null;
+    for (const b of bytes) {
+      if (terminators.includes(b)) {
+        if (current && current.digits) frames.push(current);
+        current = { text: '', digits: '', negative: false };
+      } else if (current) {
+        current.text += b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : `\\x${b.toString(16).padStart(2, '0')}`;
+        if (b === MINUS) current.negative = true;
+        else if (isDigit(b)) current.digits += String.fromCharCode(b);
+      }
+    }
+    return frames;
+  }
+
+  // How much a few seconds of traffic look like a gauge's ASCII frames, from 0 to 1. Wrong baud
+  // rates and framings turn the bytes into noise, so the right settings score clearly highest.
+  function scoreTraffic(bytes) {
+    bytes = Array.from(bytes || []);
+    const result = { score: 0, terminators: [], digits: null, frames: 0, reason: '' };
+    if (bytes.length < MIN_BYTES) return { ...result, reason: bytes.length ? 'too little data' : 'no data' };
+    const plausible = bytes.filter(isGaugeByte).length / bytes.length;
+    const counts = new Map();
+    bytes.filter(b => b > 0x00 && b < 0x20).forEach(b => counts.set(b, (counts.get(b) || 0) + 1));
+    result.terminators = Array.from(counts.keys()).filter(b => counts.get(b) >= 2).sort((a, b) => a - b);
+    if (result.terminators.length === 0) return { ...result, score: round(plausible * 0.2, 2), reason: 'no line endings' };
+    const frames = splitFrames(bytes, result.terminators);
+    result.frames = frames.length;
+    if (frames.length === 0) return { ...result, score: round(plausible * 0.2, 2), reason: 'no digits between line endings' };
+    const common = mostCommon(frames.map(f => f.digits.length));
+    result.digits = common.value;
+    const steady = common.count / frames.length;
+    result.score = round(plausible * steady * (frames.length >= 3 ? 1 : 0.5), 2);
+    result.reason = `${frames.length} frames, ${Math.round(steady * 100)}% with ${common.value} digits`;
+    return result;
+  }
+
+  function frameValue(frame, decimals, sign) {
+    const value = parseInt(frame.digits, 10) / Math.pow(10, decimals);
+    return sign === 'minus-prefix' && frame.negative ? -value : value;
+  }
+
+  // The profile whose readings best match the positions, once the gauge's own zero is allowed for.
+  // Throws when fewer than two positions were captured or nothing fits within the tolerance.
+  function propose({ samples, unit = 'mm', serial = {}, terminators, id, label, tolerance } = {}) {
+    unit = Units.unit(unit);
+    if (!Array.isArray(samples) || samples.length < 2) throw new Error('Capture at least two positions');
+    const common = mostCommon(samples.map(s => s.frame.digits.length));
+    const digits = common.value;
+    const used = samples.filter(s => s.frame.digits.length === digits);
+    const warnings = [];
+    if (used.length < samples.length) warnings.push(`${samples.length - used.length} position(s) left out: frames with other than ${digits} digits`);
+    const positions = used.map(s => s.position);
+    const travel = Math.max(...positions) - Math.min(...positions);
+    if (travel === 0) throw new Error('Capture at least two different positions');
+    if (!used.some(s => s.frame.negative)) warnings.push('No frame had a minus sign, so negative readings are assumed to start with one');
+
+    let best = null;
+    ['minus-prefix', 'none'].forEach(sign => {
+      GAUGE_UNITS.forEach(gaugeUnit => {
+        for (let decimals = 0; decimals <= Math.min(MAX_DECIMALS, digits); decimals++) {
+          const residuals = used.map(s => Units.convert(frameValue(s.frame, decimals, sign), gaugeUnit, unit) - s.position);
+          const offset = residuals.reduce((a, b) => a + b, 0) / residuals.length;
+          if (Math.abs(Units.toMm(offset, unit)) > MAX_OFFSET_MM) continue;
+          const maxError = Math.max(...residuals.map(r => Math.abs(r - offset)));
+          if (!best || maxError < best.maxError) best = { sign, gaugeUnit, decimals, offset, maxError };
+        }
+      });
+    });
+    const allowed = tolerance !== undefined ? tolerance : travel * TOLERANCE;
+    if (!best || best.maxError > allowed) {
+      throw new Error('No digit count, decimals and unit match the positions' +
+        (best ? ` (closest is ${best.decimals} decimals in ${best.gaugeUnit}, off by up to ${round(best.maxError, 6)} ${Units.label(unit)})` : ''));
+    }
+
+    const profile = Profiles.get({
+      id: id || `discovered-${digits}d-${best.decimals}-${best.gaugeUnit}`,
+      label: label || `Discovered: ${digits} digits, ${best.decimals} decimals, ${best.gaugeUnit}, ${describeSerial({ ...Profiles.DEFAULT_SERIAL, ...serial })}`,
+      digits,
+      decimals: best.decimals,
+      unit: best.gaugeUnit,
+      sign: best.sign,
+      terminators: terminators && terminators.length ? terminators : undefined,
+      serial,
+    });
+    return { profile, offset: round(best.offset, 9), maxError: round(best.maxError, 9), samples: used.length, warnings };
+  }
+
+  const GaugeDiscovery = { SERIAL_CANDIDATES, GOOD_SCORE, describeSerial, splitFrames, scoreTraffic, propose };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeDiscovery;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeDiscovery = GaugeDiscovery;
+  }
+})();
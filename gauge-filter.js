@@ -0,0 +1,126 @@
+// gauge-filter.js
+// Smoothing for jittery readings (a gauge on a vibrating machine flickers in the last digit) and
+// a stability detector that says when the reading has settled and can be taken.
+//
+//   const filter = new GaugeFilter.Filter({ type: 'median', size: 5 });
+//   filter.add(12.345);           // the filtered value
+//
+// Types: 'none', 'average' (moving average of the last size readings), 'median' (median of the
+// last size readings, which ignores single spikes) and 'exponential' (each reading moves the
+// output alpha of the way towards it; smaller is smoother).
+//
+//   const stability = new GaugeFilter.Stability({ tolerance: 0.005, time: 500 });
+//   stability.add(12.345, Date.now());   // 'stable' when the readings have settled, 'unstable'
+//                                        // when they move again, else null
+//   stability.stable;                    // { value, since, spread } while settled, else null
+//
+// Readings have settled once every reading for at least `time` ms lies within a band `tolerance`
+// wide (in the readings' unit); value is their mean.
+
+(function () {
+  const TYPES = ['none', 'average', 'median', 'exponential'];
+  const FILTER_DEFAULTS = { type: 'none', size: 5, alpha: 0.3 };
+  const STABILITY_DEFAULTS = { tolerance: 0.005, time: 500 };
+  const MAX_RUN = 1000; // readings kept while settled, for the mean
+
+  class Filter {
+    constructor(options = {}) {
+      this.configure(options);
+    }
+
+    configure(options = {}) {
+      const { type, size, alpha } = { ...FILTER_DEFAULTS, ...this.options, ...options };
+      if (!TYPES.includes(type)) throw new Error(`Unknown filter: ${type} (expected ${TYPES.join(', ')})`);
+      if (!(Number.isInteger(size) && size > 0)) throw new Error(`Filter size must be a whole number of readings (got ${size})`);
+      if (!(alpha > 0 && alpha <= 1)) throw new Error(`Filter alpha must be between 0 and 1 (got ${alpha})`);
+      this.options = { type, size, alpha };
+      this.reset();
+      return this;
+    }
+
+    get type() {
+      return this.options.type;
+    }
+
+    add(value) {
+      const { type, size, alpha } = this.options;
+      if (type === 'none') return value;
+      if (type === 'exponential') {
+        this.output = this.output === null ? value : this.output + alpha * (value - this.output);
+        return this.output;
+      }
+      this.values.push(value);
+      if (this.values.length > size) this.values.shift();
+      if (type === 'average') return this.values.reduce((sum, v) => sum + v, 0) / this.values.length;
+      const sorted = this.values.slice().sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Start over, e.g. after the gauge was disconnected
+    reset() {
+      this.values = [];
+      this.output = null;
+    }
+  }
+
+  class Stability {
+    constructor(options = {}) {
+      this.configure(options);
+    }
+
+    configure(options = {}) {
+      const { tolerance, time } = { ...STABILITY_DEFAULTS, ...this.options, ...options };
+      if (!(tolerance >= 0 && isFinite(tolerance))) throw new Error(`Stability tolerance must not be negative (got ${tolerance})`);
+      if (!(time >= 0 && isFinite(time))) throw new Error(`Stability time must not be negative (got ${time})`);
+      this.options = { tolerance, time };
+      this.reset();
+      return this;
+    }
+
+    // Add a reading at time t (ms); returns 'stable' or 'unstable' when that changes, else null
+    add(value, t = Date.now()) {
+      const { tolerance, time } = this.options;
+      this.run.push({ value, t });
+      // Keep the latest readings that fit in the band
+      let min = value;
+      let max = value;
+      let start = this.run.length - 1;
+      while (start > 0) {
+        const v = this.run[start - 1].value;
+        if (Math.max(max, v) - Math.min(min, v) > tolerance + 1e-9) break; // allow for floating point noise
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+        start--;
+      }
+      if (start > 0 || this.since === null) this.since = this.run[start].t;
+      this.run = this.run.slice(Math.max(start, this.run.length - MAX_RUN));
+      if (t - this.since >= time) {
+        const mean = this.run.reduce((sum, r) => sum + r.value, 0) / this.run.length;
+        const was = this.stable;
+        this.stable = { value: mean, since: this.since, spread: max - min };
+        return was ? null : 'stable';
+      }
+      if (this.stable) {
+        this.stable = null;
+        return 'unstable';
+      }
+      return null;
+    }
+
+    reset() {
+      this.run = [];
+      this.since = null;
+      this.stable = null;
+    }
+  }
+
+  const GaugeFilter = { TYPES, FILTER_DEFAULTS, STABILITY_DEFAULTS, Filter, Stability };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeFilter;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeFilter = GaugeFilter;
+  }
+})();
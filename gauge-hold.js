@@ -0,0 +1,72 @@
+// gauge-hold.js
+// Hold modes like a real indicator's: max hold and min hold keep the highest or lowest reading
+// (for finding the high spot), peak-to-peak keeps the spread between them. Shared by the web
+// page, GaugeReader and SerialGaugeHandler.
+//
+//   const hold = new GaugeHold({ mode: 'max' });
+//   hold.add(12.345);       // true when the held value changed
+//   hold.value();           // the held value, or null in mode 'off' and before any reading
+//   hold.value(offset);     // max and min relative to a zero; peak-to-peak doesn't need one
+//   hold.min; hold.max;     // the extremes since the last reset, whatever the mode
+//   hold.setMode('peak-to-peak');
+//   hold.reset();
+//
+// The extremes are always tracked, so switching mode shows what was held since the last reset.
+
+(function () {
+  const MODES = ['off', 'max', 'min', 'peak-to-peak'];
+  const LABELS = { off: '', max: 'MAX', min: 'MIN', 'peak-to-peak': 'P-P' };
+
+  class GaugeHold {
+    constructor({ mode = 'off' } = {}) {
+      this.setMode(mode);
+      this.reset();
+    }
+
+    setMode(mode) {
+      if (!MODES.includes(mode)) throw new Error(`Unknown hold mode: ${mode} (expected ${MODES.join(', ')})`);
+      this.mode = mode;
+      return mode;
+    }
+
+    get label() {
+      return LABELS[this.mode];
+    }
+
+    // Add a reading; returns true when the held value changed
+    add(value) {
+      if (typeof value !== 'number' || !isFinite(value)) return false;
+      const first = this.count++ === 0;
+      const higher = first || value > this.max;
+      const lower = first || value < this.min;
+      if (higher) this.max = value;
+      if (lower) this.min = value;
+      if (this.mode === 'max') return higher;
+      if (this.mode === 'min') return lower;
+      return this.mode === 'peak-to-peak' && (higher || lower);
+    }
+
+    value(offset = 0) {
+      if (this.mode === 'off' || this.count === 0) return null;
+      if (this.mode === 'max') return this.max - offset;
+      if (this.mode === 'min') return this.min - offset;
+      return this.max - this.min;
+    }
+
+    reset() {
+      this.min = null;
+      this.max = null;
+      this.count = 0;
+    }
+  }
+
+  GaugeHold.MODES = MODES;
+  GaugeHold.LABELS = LABELS;
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeHold;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeHold = GaugeHold;
+  }
+})();
@@ -0,0 +1,151 @@
+// gauge-inspection.js
+// Inspection plans: the features measured on every part, each with a nominal, tolerances and
+// instructions, and a run that steps through them one reading at a time, part after part.
+//
+// Plan (JSON):
+//   {
+//     "name": "Bracket 1234 rev B",
+//     "unit": "mm",
+//     "features": [
+//       { "name": "Bore depth", "nominal": 12.5, "plus": 0.05, "minus": 0.03, "warning": 0.2,
+//         "instructions": "Zero on the datum face, then probe the bore floor", "gauge": 1 }
+//     ]
+//   }
+// Sizes are relative to the gauge's zero, in the plan's unit (any GaugeUnits unit, kept in mm here).
+// minus defaults to plus and warning is a fraction of the tolerance as in GaugeTolerance; leave
+// out plus for a reference measurement that is recorded but not checked. gauge (optional) is the
+// number of the gauge to read the feature from ("Gauge 2" on the web page).
+//
+//   const run = new GaugeInspection.Run(GaugeInspection.parsePlan(json), { partId: 'P001' });
+//   run.current;              // the feature to measure next
+//   run.capture(12.512);      // { value, result: 'pass' | 'warn' | 'fail' | null, timestamp }
+//   run.complete;             // every feature of this part measured or skipped
+//   run.nextPart();           // on to P002; run.parts keeps every part
+//   GaugeInspection.resultsCSV(run.plan, run.parts, 'in');   // values in inches (default mm)
+
+(function () {
+  const Tolerance = typeof GaugeTolerance !== 'undefined' ? GaugeTolerance : require('./gauge-tolerance.js');
+  const Units = typeof GaugeUnits !== 'undefined' ? GaugeUnits : require('./gauge-units.js');
+
+  // Check a plan and convert its sizes to mm
+  function parsePlan(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !Array.isArray(data.features) || data.features.length === 0) throw new Error('Inspection plan needs a list of features');
+    const unit = Units.unit(data.unit || 'mm');
+    const scale = Units.toMm(1, unit);
+    const features = data.features.map((f, i) => {
+      const name = f.name || `Feature ${i + 1}`;
+      const nominal = f.nominal === undefined ? 0 : f.nominal;
+      let tolerance = null;
+      try {
+        if (typeof nominal !== 'number' || !isFinite(nominal)) throw new Error('Tolerance values must be numbers');
+        if (f.plus !== undefined) {
+          tolerance = Tolerance.normalize({
+            nominal: nominal * scale,
+            plus: f.plus * scale,
+            minus: (f.minus === undefined ? f.plus : f.minus) * scale,
+            warning: f.warning || 0,
+          });
+        }
+      } catch (err) {
+        throw new Error(`${name}: ${err.message}`);
+      }
+      if (f.gauge !== undefined && !(Number.isInteger(f.gauge) && f.gauge > 0)) throw new Error(`${name}: gauge must be a gauge number (1, 2, ...)`);
+      return { name, nominal: nominal * scale, tolerance, instructions: f.instructions || '', gauge: f.gauge || null };
+    });
+    return { name: data.name || 'Inspection', unit, features };
+  }
+
+  // P001 -> P002, 9 -> 10, Part A -> Part A-2
+  function nextPartId(id) {
+    const match = String(id).match(/^(.*?)(\d+)$/);
+    if (!match) return `${id}-2`;
+    const number = String(parseInt(match[2], 10) + 1).padStart(match[2].length, '0');
+    return match[1] + number;
+  }
+
+  class Run {
+    constructor(plan, { partId = '1' } = {}) {
+      this.plan = plan;
+      this.parts = [];
+      this.startPart(partId);
+    }
+
+    startPart(id) {
+      this.part = { id: String(id), started: new Date().toISOString(), results: this.plan.features.map(() => null) };
+      this.parts.push(this.part);
+      this.step = 0;
+      return this.part;
+    }
+
+    nextPart(id = nextPartId(this.part.id)) {
+      // An untouched part is replaced rather than kept as an empty row
+      if (this.part.results.every(r => r === null)) this.parts.pop();
+      return this.startPart(id);
+    }
+
+    get current() {
+      return this.complete ? null : this.plan.features[this.step];
+    }
+
+    get complete() {
+      return this.step >= this.plan.features.length;
+    }
+
+    // Record a reading (mm, relative to the zero) for the current feature and move on
+    capture(value, timestamp = new Date().toISOString()) {
+      const feature = this.current;
+      if (!feature) throw new Error('Every feature of this part has been measured');
+      value = Math.round(value * 1e6) / 1e6; // drop the floating point noise left by zeroing
+      const record = { value, result: feature.tolerance ? Tolerance.classify(value, feature.tolerance) : null, timestamp };
+      this.part.results[this.step++] = record;
+      return record;
+    }
+
+    skip() {
+      if (this.complete) return;
+      this.part.results[this.step++] = { value: null, result: 'skipped', timestamp: new Date().toISOString() };
+    }
+
+    // Step back to measure the previous feature again
+    back() {
+      if (this.step > 0) this.step--;
+    }
+
+    partResult(part = this.part) {
+      return partResult(part);
+    }
+  }
+
+  // fail if any feature failed; incomplete while features are left or were skipped; else warn or pass
+  function partResult(part) {
+    const results = part.results.map(r => r && r.result);
+    if (results.includes('fail')) return 'fail';
+    if (part.results.includes(null) || results.includes('skipped')) return 'incomplete';
+    if (results.includes('warn')) return 'warn';
+    return 'pass';
+  }
+
+  // One row per part with any readings: each feature's value (in unit) and result, then the part's result
+  function resultsCSV(plan, parts, unit = 'mm') {
+    const quote = text => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    // Converted to 10 significant figures, dropping the conversion's rounding noise
+    const length = mm => Number(Units.fromMm(mm, unit).toPrecision(10));
+    const columns = plan.features.map(f => `${quote(`${f.name} (${Units.label(unit)})`)},${quote(f.name + ' result')}`);
+    let csv = `part,started,${columns.join(',')},part result\n`;
+    parts.filter(part => part.results.some(r => r !== null)).forEach(part => {
+      const cells = part.results.map(r => (r ? `${r.value === null ? '' : length(r.value)},${r.result || ''}` : ','));
+      csv += `${quote(part.id)},${part.started},${cells.join(',')},${partResult(part)}\n`;
+    });
+    return csv;
+  }
+
+  const GaugeInspection = { parsePlan, nextPartId, partResult, resultsCSV, Run };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeInspection;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeInspection = GaugeInspection;
+  }
+})();
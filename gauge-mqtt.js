@@ -0,0 +1,309 @@
+// gauge-mqtt.js
+// Publishes gauge readings to an MQTT broker for shop-floor dashboards.
+//
+//   const publisher = new GaugeMqttPublisher('mqtt://broker.local:1883', { gauge: 'bore-1', qos: 1 });
+//   publisher.connect();
+//   publisher.publishReading({ timestamp, value: 12.345, unit: 'mm', zeroed: 0.012 });
+//   publisher.publishStatus('disconnected');
+//   await publisher.close();
+//
+// Topics ({gauge} in the topic is replaced by the gauge id):
+//   gauges/{gauge}          {"gauge":"bore-1","timestamp":"...","value":12.345,"zeroed":0.012,"unit":"mm","status":"online"}
+//   gauges/{gauge}/status   online | disconnected | offline, always retained. "offline" is also the
+//                           last will, so subscribers find out when the logger dies without closing.
+//
+// Messages are queued while the broker is unreachable (up to bufferSize, oldest dropped first) and
+// sent once it is back; QoS 1 and 2 messages that were not acknowledged are sent again, except that a
+// QoS 2 message the broker has already received (PUBREC) is only released again (PUBREL).
+// A broker that is unavailable is retried; one that refuses the login is not (see 'error' below).
+// A minimal MQTT 3.1.1 client over net/tls (mqtt:// and mqtts:// URLs, user:password@ for login).
+
+const { EventEmitter } = require('events');
+const net = require('net');
+const tls = require('tls');
+
+const TYPES = { connect: 1, connack: 2, publish: 3, puback: 4, pubrec: 5, pubrel: 6, pubcomp: 7, pingreq: 12, pingresp: 13, disconnect: 14 };
+const CONNACK_ERRORS = ['', 'unacceptable protocol version', 'client id rejected', 'server unavailable', 'bad user name or password', 'not authorized'];
+const MQTT_DEFAULTS = { topic: 'gauges/{gauge}', qos: 0, retain: false, keepalive: 30, bufferSize: 10000, minDelay: 1000, maxDelay: 30000 };
+
+// Events: 'connect', 'offline' (connection lost or server unavailable, will retry), 'error' (refused
+// for a bad login, client id or protocol; no more retries), 'close'
+class GaugeMqttPublisher extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
+    this.url = new URL(url);
+    if (!['mqtt:', 'mqtts:'].includes(this.url.protocol)) throw new Error(`MQTT URL must start with mqtt:// or mqtts:// (got ${url})`);
+    this.options = { ...MQTT_DEFAULTS, ...options };
+    const { qos, gauge = 'gauge' } = this.options;
+    if (![0, 1, 2].includes(qos)) throw new Error(`MQTT QoS must be 0, 1 or 2 (got ${qos})`);
+    this.topic = this.options.topic.replace(/\{gauge\}/g, gauge);
+    this.statusTopic = this.topic + '/status';
+    this.clientId = this.options.clientId || `gauge-${gauge}-${process.pid}`.slice(0, 23);
+    this.logLine = this.options.logFunc || (() => {});
+    this.gaugeStatus = null;
+    this.queue = []; // { topic, payload, qos, retain } waiting for a connection
+    this.inflight = new Map(); // packet id -> message awaiting PUBACK / PUBREC / PUBCOMP (received: PUBREC came)
+    this.nextPacketId = 1;
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.attempt = 0;
+    this.buffer = Buffer.alloc(0);
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.dropped = 0;
+  }
+
+  connect() {
+    const port = parseInt(this.url.port, 10) || (this.url.protocol === 'mqtts:' ? 8883 : 1883);
+    const host = this.url.hostname;
+    const secure = this.url.protocol === 'mqtts:';
+    this.buffer = Buffer.alloc(0);
+    this.socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    this.socket.on(secure ? 'secureConnect' : 'connect', () => this.socket.write(this.connectPacket()));
+    this.socket.on('data', data => this.receive(data));
+    this.socket.on('error', err => {
+      if (this.attempt === 0 || this.connected) this.logLine(`[ERROR] MQTT ${this.url.host}: ${err.message}`);
+    });
+    this.socket.on('close', () => this.onSocketClose());
+    return this;
+  }
+
+  // uncorrected: the reading before calibration correction, sent along when there is one
+  publishReading({ timestamp, value, zeroed = value, unit, uncorrected }) {
+    if (this.gaugeStatus !== 'online') this.publishStatus('online');
+    const { gauge = 'gauge', qos, retain } = this.options;
+    this.send(this.topic, { gauge, timestamp, value, zeroed, unit, uncorrected, status: 'online' }, qos, retain);
+  }
+
+  // online | disconnected | offline, retained on the status topic; a disconnect is also noted in the readings
+  publishStatus(status, timestamp = new Date().toISOString()) {
+    this.gaugeStatus = status;
+    const { gauge = 'gauge', qos } = this.options;
+    this.send(this.statusTopic, status, qos, true);
+    if (status === 'disconnected') this.send(this.topic, { gauge, timestamp, value: null, zeroed: null, unit: null, status }, qos, this.options.retain);
+  }
+
+  send(topic, payload, qos, retain) {
+    const message = { topic, payload: Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)), qos, retain };
+    if (this.connected && this.queue.length === 0) this.write(message);
+    else this.enqueue(message);
+  }
+
+  enqueue(message) {
+    this.queue.push(message);
+    if (this.queue.length > this.options.bufferSize) {
+      this.queue.shift();
+      if (this.dropped++ === 0) this.logLine(`[INFO] MQTT buffer full (${this.options.bufferSize} messages), dropping the oldest`);
+    }
+  }
+
+  write(message) {
+    let packetId = 0;
+    if (message.qos > 0) {
+      packetId = this.nextPacketId;
+      this.nextPacketId = (this.nextPacketId % 65535) + 1;
+      this.inflight.set(packetId, message);
+    }
+    this.socket.write(publishPacket(message, packetId));
+  }
+
+  // Send what queued up while the broker was away, unacknowledged messages first
+  flush() {
+    const pending = [];
+    for (const [packetId, message] of this.inflight) {
+      // The broker already has a QoS 2 message it sent PUBREC for: release it again under the same id
+      if (message.received) {
+        this.release(packetId);
+      } else {
+        this.inflight.delete(packetId);
+        pending.push({ ...message, dup: true });
+      }
+    }
+    pending.push(...this.queue);
+    this.queue = [];
+    pending.forEach(m => this.write(m));
+    if (this.dropped) this.logLine(`[INFO] MQTT dropped ${this.dropped} message(s) while the broker was unreachable`);
+    this.dropped = 0;
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let packet;
+    while ((packet = readPacket(this.buffer))) {
+      this.buffer = this.buffer.subarray(packet.size);
+      this.handle(packet);
+    }
+  }
+
+  handle({ type, body }) {
+    if (type === TYPES.connack) {
+      const code = body[1];
+      if (code !== 0) {
+        const reason = CONNACK_ERRORS[code] || 'code ' + code;
+        this.socket.destroy();
+        if (code === 3) {
+          // Server unavailable: worth trying again
+          this.logLine(`[ERROR] MQTT broker refused the connection: ${reason}`);
+          return;
+        }
+        // Bad login, client id or protocol: retrying would only be refused again
+        this.logLine(`[ERROR] MQTT broker refused the connection: ${reason}; not retrying`);
+        this.closed = true;
+        this.emit('error', new Error(`MQTT broker refused the connection: ${reason}`));
+        return;
+      }
+      this.connected = true;
+      this.logLine(`[STATUS] MQTT connected to ${this.url.host}${this.attempt ? ` after ${this.attempt} attempt(s)` : ''}, publishing to ${this.topic}`);
+      this.attempt = 0;
+      this.startPing();
+      this.flush();
+      // The broker sent our will ("offline") if the last connection dropped; put the status right
+      if (this.gaugeStatus) this.write({ topic: this.statusTopic, payload: Buffer.from(this.gaugeStatus), qos: this.options.qos, retain: true });
+      this.emit('connect');
+    } else if (type === TYPES.puback || type === TYPES.pubcomp) {
+      this.inflight.delete(body.readUInt16BE(0));
+      if (this.inflight.size === 0) this.emit('drain');
+    } else if (type === TYPES.pubrec) {
+      // QoS 2, second step: the broker has the message; release it
+      const packetId = body.readUInt16BE(0);
+      const message = this.inflight.get(packetId);
+      if (message) message.received = true;
+      this.release(packetId);
+    } else if (type === TYPES.pingresp) {
+      this.awaitingPing = false;
+    }
+  }
+
+  release(packetId) {
+    this.socket.write(packet(TYPES.pubrel, 0x02, Buffer.from([packetId >> 8, packetId & 0xff])));
+  }
+
+  startPing() {
+    clearInterval(this.pingTimer);
+    this.awaitingPing = false;
+    this.pingTimer = setInterval(() => {
+      if (this.awaitingPing) {
+        this.logLine('[INFO] MQTT broker stopped answering pings');
+        this.socket.destroy();
+        return;
+      }
+      this.awaitingPing = true;
+      this.socket.write(packet(TYPES.pingreq, 0, Buffer.alloc(0)));
+    }, this.options.keepalive * 1000);
+  }
+
+  onSocketClose() {
+    clearInterval(this.pingTimer);
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.socket = null;
+    if (this.closed) return;
+    if (wasConnected) this.logLine(`[STATUS] MQTT connection to ${this.url.host} lost, buffering readings`);
+    this.emit('offline');
+    const { minDelay, maxDelay } = this.options;
+    const delay = Math.min(maxDelay, minDelay * Math.pow(2, this.attempt++));
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  // Say goodbye properly (status offline, then DISCONNECT so the will is not sent), waiting up to
+  // `timeout` ms for queued and unacknowledged messages to go out
+  async close({ timeout = 2000 } = {}) {
+    if (this.closed) return;
+    if (this.gaugeStatus) this.publishStatus('offline');
+    if (this.connected && this.inflight.size > 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, timeout);
+        this.once('drain', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pingTimer);
+    const undelivered = this.queue.length + this.inflight.size;
+    if (undelivered) this.logLine(`[INFO] ${undelivered} MQTT message(s) not delivered`);
+    if (this.socket) {
+      const socket = this.socket;
+      await new Promise(resolve => {
+        socket.once('close', resolve);
+        if (this.connected) socket.end(packet(TYPES.disconnect, 0, Buffer.alloc(0)));
+        else socket.destroy();
+      });
+    }
+    this.emit('close');
+  }
+
+  connectPacket() {
+    const { keepalive } = this.options;
+    const username = decodeURIComponent(this.url.username);
+    const password = decodeURIComponent(this.url.password);
+    // Clean session, with a retained QoS 1 will of "offline" on the status topic
+    let flags = 0x02 | 0x04 | (1 << 3) | 0x20;
+    const payload = [string(this.clientId), string(this.statusTopic), string('offline')];
+    if (username) {
+      flags |= 0x80;
+      payload.push(string(username));
+    }
+    if (password) {
+      flags |= 0x40;
+      payload.push(string(password));
+    }
+    const header = Buffer.concat([string('MQTT'), Buffer.from([4, flags, keepalive >> 8, keepalive & 0xff])]);
+    return packet(TYPES.connect, 0, Buffer.concat([header, ...payload]));
+  }
+}
+
+// Length-prefixed UTF-8 string
+function string(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(bytes.length);
+  return Buffer.concat([length, bytes]);
+}
+
+function packet(type, flags, body) {
+  const length = [];
+  let remaining = body.length;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    if (remaining > 0) byte |= 0x80;
+    length.push(byte);
+  } while (remaining > 0);
+  return Buffer.concat([Buffer.from([(type << 4) | flags, ...length]), body]);
+}
+
+function publishPacket({ topic, payload, qos, retain, dup }, packetId) {
+  const flags = (dup ? 0x08 : 0) | (qos << 1) | (retain ? 0x01 : 0);
+  const parts = [string(topic)];
+  if (qos > 0) parts.push(Buffer.from([packetId >> 8, packetId & 0xff]));
+  parts.push(payload);
+  return packet(TYPES.publish, flags, Buffer.concat(parts));
+}
+
+// One complete packet off the front of the buffer: { type, flags, body, size }, or null if incomplete
+function readPacket(buffer) {
+  if (buffer.length < 2) return null;
+  let length = 0;
+  let multiplier = 1;
+  let pos = 1;
+  let byte;
+  do {
+    if (pos >= buffer.length) return null;
+    byte = buffer[pos++];
+    length += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  if (buffer.length < pos + length) return null;
+  return { type: buffer[0] >> 4, flags: buffer[0] & 0x0f, body: buffer.subarray(pos, pos + length), size: pos + length };
+}
+
+GaugeMqttPublisher.DEFAULTS = MQTT_DEFAULTS;
+
+module.exports = GaugeMqttPublisher;
@@ -0,0 +1,121 @@
+// gauge-parser.js
+// Shared frame parser for digital dial gauge serial data.
+// Runs unchanged in the browser (<script src="gauge-parser.js">) and in Node (require('./gauge-parser.js')).
+//
+// The gauge sends frames like "-\u0000009891\r\u0012": an optional '-' (often in its own chunk),
+// a stray 0x00, the digits, then '\r', '\n' or 0x12 as terminators. Feed raw byte chunks in as
+// they arrive and the parser emits one frame event per terminated message:
+//   'value'   - a complete reading: { type, value, unit, text, digits, negative, raw }
+//   'ignored' - digits with an unexpected length: { type, digits, negative, raw, reason }
+//
+// Options take the same shape as a gauge profile (gauge-profiles.js), so a profile can be passed as-is.
+
+(function () {
+  const MINUS = 0x2d;
+  const DEFAULTS = {
+    digits: 6, // adjust if your gauge sends a different length
+    decimals: 3,
+    unit: 'mm',
+    sign: 'minus-prefix',
+    terminators: [0x0d, 0x0a, 0x12],
+  };
+
+  // Turn a digit string into a decimal string, e.g. ('012345', 3) -> '12.345'
+  function formatDigits(digits, decimals = 3, negative = false) {
+    let numStr = digits.replace(/^0+/, '');
+    if (decimals > 0) {
+      numStr = numStr.padStart(decimals + 1, '0');
+      numStr = numStr.slice(0, -decimals) + '.' + numStr.slice(-decimals);
+    } else if (numStr.length === 0) {
+      numStr = '0';
+    }
+    return negative ? '-' + numStr : numStr;
+  }
+
+  // Accept Uint8Array, Node Buffer, arrays of bytes or latin1 strings
+  function toBytes(chunk) {
+    if (typeof chunk === 'string') {
+      return Uint8Array.from(chunk, ch => ch.charCodeAt(0) & 0xff);
+    }
+    return chunk instanceof Uint8Array ? chunk : Uint8Array.from(chunk);
+  }
+
+  class GaugeParser {
+    constructor(options = {}) {
+      this.listeners = {};
+      this.configure(options);
+    }
+
+    // Switch to new options (e.g. another profile), dropping any partial frame
+    configure(options = {}) {
+      this.options = { ...DEFAULTS, ...options };
+      this.terminators = this.options.terminators.map(t => (typeof t === 'string' ? t.charCodeAt(0) : t));
+      this.reset();
+      return this;
+    }
+
+    // Drop any partially received frame
+    reset() {
+      this.digits = '';
+      this.pendingMinus = false;
+      this.rawBytes = [];
+    }
+
+    on(type, fn) {
+      (this.listeners[type] = this.listeners[type] || []).push(fn);
+      return this;
+    }
+
+    off(type, fn) {
+      const list = this.listeners[type];
+      if (list) this.listeners[type] = list.filter(l => l !== fn);
+      return this;
+    }
+
+    emit(frame) {
+      (this.listeners[frame.type] || []).forEach(fn => fn(frame));
+      (this.listeners.frame || []).forEach(fn => fn(frame));
+    }
+
+    // Consume a raw chunk; returns the frames it completed (also emitted as events)
+    feed(chunk) {
+      const frames = [];
+      for (const byte of toBytes(chunk)) {
+        this.rawBytes.push(byte);
+        if (byte === MINUS) {
+          this.pendingMinus = this.options.sign !== 'none';
+        } else if (this.terminators.includes(byte)) {
+          const frame = this.finishFrame();
+          if (frame) {
+            frames.push(frame);
+            this.emit(frame);
+          }
+        } else if (byte >= 0x30 && byte <= 0x39) {
+          this.digits += String.fromCharCode(byte);
+        }
+      }
+      return frames;
+    }
+
+    finishFrame() {
+      const { digits, pendingMinus: negative } = this;
+      const raw = Uint8Array.from(this.rawBytes);
+      this.reset();
+      if (digits.length === 0) return null; // bare terminator, e.g. the 0x12 after '\r'
+      if (digits.length !== this.options.digits) {
+        return { type: 'ignored', reason: `unexpected length ${digits.length}`, digits, negative, raw };
+      }
+      const text = formatDigits(digits, this.options.decimals, negative);
+      return { type: 'value', value: parseFloat(text), unit: this.options.unit, text, digits, negative, raw };
+    }
+  }
+
+  GaugeParser.formatDigits = formatDigits;
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeParser;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeParser = GaugeParser;
+  }
+})();
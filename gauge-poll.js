@@ -0,0 +1,143 @@
+// gauge-poll.js
+// Request/response polling for gauges that only send a reading when asked, such as RS-232
+// indicators answering "?" or "PRINT". Shared by the web page and GaugeReader: the poller writes
+// the command every interval (or when poll() is called, e.g. on a trigger key), pairs the next
+// reading with the request, and reports each request that goes unanswered.
+//
+//   const poller = new GaugePoller({
+//     command: '?\r',                    // text or bytes; typed escapes (\r, \n, \t, \xNN) are understood
+//     interval: 500,                     // ms between polls; 0 polls only when poll() is called
+//     timeout: 1000,                     // ms to wait for the answer
+//     write: bytes => port.write(bytes), // may return a promise
+//     onTimeout: request => ...,         // { id, sent, timeout, command }
+//     onError: (err, request) => ...,    // the command could not be written
+//   });
+//   poller.start();          // polls now, then every interval
+//   poller.poll();           // a poll now: its id, or null while the last one is still waiting
+//   poller.answer();         // call for every reading: { id, latency } of the poll it answers, or null
+//   poller.stop();
+//   poller.stats;            // { sent, answered, timedOut, failed, unsolicited, latency (mean ms) }
+//
+// Only one poll waits at a time, so a reading always answers the latest request; readings with no
+// poll waiting (late answers, or a gauge that also streams) are counted as unsolicited.
+
+(function () {
+  const DEFAULTS = { interval: 1000, timeout: 1000 };
+  const ESCAPES = { r: '\r', n: '\n', t: '\t', '\\': '\\' };
+  const SHOWN = { 0x0d: '\\r', 0x0a: '\\n', 0x09: '\\t', 0x5c: '\\\\' };
+
+  // Bytes of a command typed as text (escapes as in a JS string), or given as bytes
+  function parseCommand(command) {
+    if (typeof command !== 'string') {
+      const bytes = Array.from(command || []);
+      if (bytes.length === 0 || bytes.some(b => !Number.isInteger(b) || b < 0 || b > 0xff)) throw new Error('Poll command must be text or bytes');
+      return Uint8Array.from(bytes);
+    }
+    const text = command.replace(/\\(x[0-9a-fA-F]{2}|[rnt\\])/g, (match, escape) =>
+      (escape[0] === 'x' ? String.fromCharCode(parseInt(escape.slice(1), 16)) : ESCAPES[escape]));
+    if (!text) throw new Error('Poll command is empty');
+    if (/[^\x00-\xff]/.test(text)) throw new Error('Poll command must be ASCII (use \\xNN for other bytes)');
+    return Uint8Array.from(text, ch => ch.charCodeAt(0));
+  }
+
+  // A command as it would be typed, for logs and inputs: "?\r" is shown as ?\r
+  function describeCommand(bytes) {
+    return Array.from(bytes, b => SHOWN[b] || (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : `\\x${b.toString(16).padStart(2, '0')}`)).join('');
+  }
+
+  class GaugePoller {
+    constructor({ command, interval = DEFAULTS.interval, timeout = DEFAULTS.timeout, write, onTimeout, onError } = {}) {
+      this.command = parseCommand(command);
+      if (typeof interval !== 'number' || !(interval >= 0)) throw new Error(`Poll interval must be 0 or more ms (got ${interval})`);
+      if (typeof timeout !== 'number' || !(timeout > 0)) throw new Error(`Poll timeout must be more than 0 ms (got ${timeout})`);
+      if (typeof write !== 'function') throw new Error('GaugePoller needs a write(bytes) function');
+      this.interval = interval;
+      this.timeout = timeout;
+      this.write = write;
+      this.onTimeout = onTimeout;
+      this.onError = onError;
+      this.timer = null;
+      this.pending = null;
+      this.nextId = 1;
+      this.stats = { sent: 0, answered: 0, timedOut: 0, failed: 0, unsolicited: 0, latency: null };
+    }
+
+    get text() {
+      return describeCommand(this.command);
+    }
+
+    start() {
+      this.stop();
+      if (this.interval > 0) this.timer = setInterval(() => this.poll(), this.interval);
+      this.poll();
+      return this;
+    }
+
+    stop() {
+      if (this.timer) clearInterval(this.timer);
+      this.timer = null;
+      if (this.pending) clearTimeout(this.pending.timer);
+      this.pending = null;
+      return this;
+    }
+
+    // Write the command now; null while the last poll is still waiting for its answer
+    poll() {
+      if (this.pending) return null;
+      const request = { id: this.nextId++, sent: Date.now(), timer: null };
+      this.pending = request;
+      this.stats.sent++;
+      request.timer = setTimeout(() => {
+        if (this.pending !== request) return;
+        this.pending = null;
+        this.stats.timedOut++;
+        if (this.onTimeout) this.onTimeout({ id: request.id, sent: new Date(request.sent).toISOString(), timeout: this.timeout, command: this.text });
+      }, this.timeout);
+      Promise.resolve()
+        .then(() => this.write(this.command))
+        .catch(err => {
+          if (this.pending === request) {
+            clearTimeout(request.timer);
+            this.pending = null;
+          }
+          this.stats.failed++;
+          if (this.onError) this.onError(err, { id: request.id, command: this.text });
+        });
+      return request.id;
+    }
+
+    // The poll a reading answers, or null when none was waiting
+    answer() {
+      const request = this.pending;
+      if (!request) {
+        this.stats.unsolicited++;
+        return null;
+      }
+      clearTimeout(request.timer);
+      this.pending = null;
+      const latency = Date.now() - request.sent;
+      const { stats } = this;
+      stats.latency = stats.latency === null ? latency : (stats.latency * stats.answered + latency) / (stats.answered + 1);
+      stats.answered++;
+      return { id: request.id, latency };
+    }
+
+    // e.g. "12 poll(s), 11 answered (mean 35 ms), 1 not answered"
+    summary() {
+      const { sent, answered, timedOut, failed, unsolicited, latency } = this.stats;
+      return `${sent} poll(s), ${answered} answered` + (latency !== null ? ` (mean ${Math.round(latency)} ms)` : '') +
+        `, ${timedOut} not answered` + (failed ? `, ${failed} not sent` : '') + (unsolicited ? `, ${unsolicited} unsolicited reading(s)` : '');
+    }
+  }
+
+  GaugePoller.DEFAULTS = DEFAULTS;
+  GaugePoller.parseCommand = parseCommand;
+  GaugePoller.describeCommand = describeCommand;
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugePoller;
+  } else if (typeof window !== 'undefined') {
+    window.GaugePoller = GaugePoller;
+  }
+})();
@@ -0,0 +1,98 @@
+// gauge-profiles.js
+// Named gauge profiles: digit count, implied decimals, native unit (mm, in, um or thou, see
+// gauge-units.js), sign convention, frame terminators and serial settings. Shared by the web page,
+// the Node CLI and SerialGaugeHandler.
+//
+// User-defined profiles can be loaded from JSON, either a single profile or an array:
+//   { "id": "my-gauge", "label": "My gauge", "digits": 5, "decimals": 2, "unit": "mm",
+//     "sign": "minus-prefix", "terminators": ["\r", "\n"], "serial": { "baudRate": 4800 } }
+// Gauges that only answer a command also give "poll": { "command": "?\r", "interval": 500, "timeout": 1000 }
+// (ms, see gauge-poll.js).
+
+(function () {
+  const Units = typeof GaugeUnits !== 'undefined' ? GaugeUnits : require('./gauge-units.js');
+
+  const DEFAULT_SERIAL = { baudRate: 9600, dataBits: 8, stopBits: 1, parity: 'none', flowControl: 'none' };
+  const DEFAULT_TERMINATORS = [0x0d, 0x0a, 0x12];
+  const SIGNS = ['minus-prefix', 'none'];
+
+  const BUILTIN = [
+    { id: 'mm-0.001', label: '0.001 mm, 6 digits', digits: 6, decimals: 3, unit: 'mm' },
+    { id: 'mm-0.01', label: '0.01 mm, 5 digits', digits: 5, decimals: 2, unit: 'mm' },
+    { id: 'in-0.0001', label: '0.0001 in, 5 digits', digits: 5, decimals: 4, unit: 'in' },
+  ];
+
+  const DEFAULT_PROFILE = 'mm-0.001';
+  const profiles = new Map();
+
+  // Fill in defaults and check a profile, throwing on anything the parser can't use
+  function normalize(profile) {
+    if (!profile || typeof profile !== 'object') throw new Error('Gauge profile must be an object');
+    const { id, digits, decimals = 3, sign = 'minus-prefix' } = profile;
+    if (!id || typeof id !== 'string') throw new Error('Gauge profile needs a string id');
+    if (!Number.isInteger(digits) || digits < 1) throw new Error(`Gauge profile ${id}: digits must be a positive integer`);
+    if (!Number.isInteger(decimals) || decimals < 0) throw new Error(`Gauge profile ${id}: decimals must be a non-negative integer`);
+    let unit;
+    try {
+      unit = Units.unit(profile.unit || 'mm');
+    } catch (err) {
+      throw new Error(`Gauge profile ${id}: unit must be one of ${Units.list().join(', ')}`);
+    }
+    if (!SIGNS.includes(sign)) throw new Error(`Gauge profile ${id}: sign must be one of ${SIGNS.join(', ')}`);
+    const terminators = (profile.terminators || DEFAULT_TERMINATORS).map(t => (typeof t === 'string' ? t.charCodeAt(0) : t));
+    if (terminators.length === 0 || terminators.some(t => !Number.isInteger(t) || t < 0 || t > 0xff)) {
+      throw new Error(`Gauge profile ${id}: terminators must be bytes or single characters`);
+    }
+    const { poll } = profile;
+    if (poll !== undefined && poll !== null && (typeof poll !== 'object' || !poll.command)) throw new Error(`Gauge profile ${id}: poll needs a command`);
+    return {
+      ...profile,
+      id,
+      label: profile.label || id,
+      digits,
+      decimals,
+      unit,
+      sign,
+      terminators,
+      serial: { ...DEFAULT_SERIAL, ...profile.serial },
+    };
+  }
+
+  const GaugeProfiles = {
+    DEFAULT_PROFILE,
+    DEFAULT_SERIAL,
+
+    register(profile) {
+      const normalized = normalize(profile);
+      profiles.set(normalized.id, normalized);
+      return normalized;
+    },
+
+    // Look up a profile by id; profile objects are normalized and passed through
+    get(idOrProfile = DEFAULT_PROFILE) {
+      if (typeof idOrProfile === 'object') return normalize(idOrProfile);
+      const profile = profiles.get(idOrProfile);
+      if (!profile) throw new Error(`Unknown gauge profile: ${idOrProfile}`);
+      return profile;
+    },
+
+    list() {
+      return Array.from(profiles.values());
+    },
+
+    // Register profiles from a JSON string or already-parsed object/array
+    loadJSON(json) {
+      const data = typeof json === 'string' ? JSON.parse(json) : json;
+      return (Array.isArray(data) ? data : [data]).map(p => GaugeProfiles.register(p));
+    },
+  };
+
+  BUILTIN.forEach(p => GaugeProfiles.register(p));
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeProfiles;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeProfiles = GaugeProfiles;
+  }
+})();
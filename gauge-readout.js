@@ -0,0 +1,175 @@
+// gauge-readout.js
+// What SerialGaugeHandler does with a reading once it has been decoded, shared by its browser and
+// Node versions: the calibration correction, the running statistics, the max/min hold and the
+// datums (the zero), in the gauge's own unit, and the conversion to the unit readings are shown in.
+//
+//   const readout = new GaugeReadout({ unit: 'mm', displayUnit: 'in', calibration: table });
+//   readout.add(10.011);          // 10: corrected, counted in the statistics and kept as lastReading
+//   readout.statistics.get();     // { count, min, max, mean, stdDev, range }
+//   readout.calibrationStatus();  // { due, days, state }, or null without a calibration
+//   readout.format(10);           // '0.3937': in the display unit, at its usual resolution
+//   readout.zero();               // the latest reading now shows 0
+//   readout.preset(0.5);          // or 0.5 in the display unit, e.g. over a gauge block
+//   readout.hold.setMode('max');  // readout.held(): the highest reading since resetHold(), zeroed
+
+(function () {
+  const Calibration = typeof GaugeCalibration !== 'undefined' ? GaugeCalibration : require('./gauge-calibration.js');
+  const Statistics = typeof GaugeStatistics !== 'undefined' ? GaugeStatistics : require('./gauge-stats.js');
+  const Units = typeof GaugeUnits !== 'undefined' ? GaugeUnits : require('./gauge-units.js');
+  const Datums = typeof GaugeDatums !== 'undefined' ? GaugeDatums : require('./gauge-datums.js');
+  const Hold = typeof GaugeHold !== 'undefined' ? GaugeHold : require('./gauge-hold.js');
+
+  class GaugeReadout {
+    constructor({ unit = 'mm', displayUnit = unit, displayDecimals = null, calibration = null, datums, holdMode = 'off', statisticsWindowSize = 0, statisticsWindowSeconds = 0 } = {}) {
+      this.gaugeUnit = Units.unit(unit);
+      // Readings stay in the gauge's unit; they are converted to displayUnit only to be shown
+      this.displayUnit = Units.unit(displayUnit);
+      this.displayDecimals = displayDecimals; // null: the display unit's usual resolution
+      this.calibration = null;
+      // Over corrected readings before the zero, so zeroing doesn't disturb them
+      this.statistics = new Statistics({ windowSize: statisticsWindowSize, windowSeconds: statisticsWindowSeconds });
+      this.lastReading = null; // the latest corrected reading, before the zero
+      // Zero, presets and named datums, as saved by GaugeDatums.toJSON(); see offset
+      this.datums = new Datums(datums);
+      // Max/min/peak-to-peak hold of the corrected readings, before the zero
+      this.hold = new Hold({ mode: holdMode });
+      if (calibration) this.setCalibration(calibration);
+    }
+
+    // Offset taken off every reading: the selected datum's, or the incremental zero
+    get offset() {
+      return this.datums.offset;
+    }
+
+    // Correct readings with a calibration table from now on (null to stop correcting)
+    setCalibration(table) {
+      this.calibration = table ? Calibration.normalize(table) : null;
+      this.hold.reset(); // held under the old correction
+      return this.calibration;
+    }
+
+    // A raw reading (before the zero) corrected with the calibration, if there is one
+    correct(value) {
+      if (!this.calibration) return value;
+      return Calibration.correct(this.calibration, value, this.gaugeUnit);
+    }
+
+    // { due, days, state: 'ok' | 'due-soon' | 'overdue' | 'unknown' }, or null without a calibration
+    calibrationStatus() {
+      return this.calibration ? Calibration.dueStatus(this.calibration) : null;
+    }
+
+    // A message when the calibration is overdue or nearly due, else null
+    calibrationWarning() {
+      return this.calibration ? Calibration.dueWarning(this.calibration) : null;
+    }
+
+    // The gauge now reads in unit (a new profile); returns the factor that converts lengths kept in
+    // the old unit. The datums are scaled, so the zero stays put; the statistics and hold can't
+    // follow, so they start over.
+    setGaugeUnit(unit) {
+      const factor = Units.convert(1, this.gaugeUnit, unit);
+      this.gaugeUnit = Units.unit(unit);
+      this.datums.scale(factor);
+      this.statistics.reset();
+      this.hold.reset();
+      return factor;
+    }
+
+    // Show values in another unit from now on; returns its canonical id
+    setDisplayUnit(unit) {
+      this.displayUnit = Units.unit(unit);
+      return this.displayUnit;
+    }
+
+    // A length in unit (the gauge's by default) in the display unit; null stays null
+    display(value, unit = this.gaugeUnit) {
+      return value === null ? null : Units.convert(value, unit, this.displayUnit);
+    }
+
+    // A length in unit (the display unit by default) in the gauge's unit
+    fromDisplay(value, unit = this.displayUnit) {
+      return Units.convert(value, unit, this.gaugeUnit);
+    }
+
+    // A length in unit (the gauge's by default) as text in the display unit, at displayDecimals
+    format(value, unit = this.gaugeUnit) {
+      return Units.format(this.display(value, unit), this.displayUnit, { decimals: this.displayDecimals });
+    }
+
+    // Zero at raw (the latest reading by default); false without a reading
+    zero(raw = this.lastReading) {
+      if (raw === null) return false;
+      this.datums.zero(raw);
+      return true;
+    }
+
+    // Make the latest reading show value, in unit (the display unit by default); false without a reading
+    preset(value, unit = this.displayUnit) {
+      if (this.lastReading === null) return false;
+      this.datums.preset(this.lastReading, this.fromDisplay(value, unit));
+      return true;
+    }
+
+    // Measure from the named datum, adding it at the gauge's own zero if it is new; returns its name
+    selectDatum(name) {
+      if (this.datums.datums.some(d => d.name === name)) this.datums.select(name);
+      else this.datums.add(name);
+      return this.datums.active;
+    }
+
+    // The statistics relative to the current zero, in the display unit
+    displayStatistics() {
+      const stats = this.statistics.get();
+      if (stats.count === 0) return { ...stats, unit: this.displayUnit };
+      return {
+        ...stats,
+        min: this.display(stats.min - this.offset),
+        max: this.display(stats.max - this.offset),
+        mean: this.display(stats.mean - this.offset),
+        stdDev: this.display(stats.stdDev),
+        range: this.display(stats.range),
+        unit: this.displayUnit,
+      };
+    }
+
+    // The held value relative to the current zero, in the gauge's unit; null when not holding
+    held() {
+      return this.hold.value(this.offset);
+    }
+
+    // Hold again from the latest reading
+    resetHold() {
+      this.hold.reset();
+      if (this.lastReading !== null) this.hold.add(this.lastReading);
+    }
+
+    // The hold mode, held value and extremes, relative to the current zero, in the display unit
+    displayHold() {
+      const { hold } = this;
+      return {
+        mode: hold.mode,
+        value: this.display(this.held()),
+        max: this.display(hold.count ? hold.max - this.offset : null),
+        min: this.display(hold.count ? hold.min - this.offset : null),
+        unit: this.displayUnit,
+      };
+    }
+
+    // Take a reading as the gauge sent it; returns it corrected
+    add(uncorrected) {
+      const value = this.correct(uncorrected);
+      this.lastReading = value;
+      this.statistics.add(value);
+      this.hold.add(value);
+      return value;
+    }
+  }
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeReadout;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeReadout = GaugeReadout;
+  }
+})();
@@ -0,0 +1,60 @@
+// gauge-runout.js
+// Runout analysis for spindle and shaft measurements.
+// Takes the readings captured over one or more revolutions and works out total indicated runout (TIR),
+// eccentricity and the out-of-roundness left once the eccentric offset is removed.
+//
+//   const result = GaugeRunout.analyze(values, { revolutions: 2 });
+//   result.tir; result.eccentricity; result.points; // [{ angle, value, deviation }]
+//
+// Readings are assumed to be evenly spaced in angle (the gauge reports at a steady rate and the
+// part turns at a steady speed), so reading i of n sits at 360 * revolutions * i / n degrees.
+
+(function () {
+  function analyze(values, { revolutions = 1 } = {}) {
+    if (!(revolutions > 0)) throw new Error('Runout revolutions must be greater than 0');
+    const count = values.length;
+    if (count === 0) {
+      return { count: 0, revolutions, min: null, max: null, mean: null, tir: null, eccentricity: null, eccentricityAngle: null, roundness: null, points: [] };
+    }
+    const angles = values.map((_, i) => (2 * Math.PI * revolutions * i) / count);
+    const mean = values.reduce((sum, v) => sum + v, 0) / count;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    // First harmonic of the trace: a shaft turning off-centre by e reads mean + e * cos(angle - phase)
+    let a = 0, b = 0;
+    values.forEach((v, i) => {
+      a += (v - mean) * Math.cos(angles[i]);
+      b += (v - mean) * Math.sin(angles[i]);
+    });
+    a = (2 * a) / count;
+    b = (2 * b) / count;
+    const eccentricity = Math.sqrt(a * a + b * b);
+    const phase = Math.atan2(b, a);
+
+    // What is left after removing the eccentric offset is the form error
+    const residuals = values.map((v, i) => v - mean - a * Math.cos(angles[i]) - b * Math.sin(angles[i]));
+
+    return {
+      count,
+      revolutions,
+      min,
+      max,
+      mean,
+      tir: max - min,
+      eccentricity,
+      eccentricityAngle: ((phase * 180) / Math.PI + 360) % 360, // degrees, where the high point lies
+      roundness: Math.max(...residuals) - Math.min(...residuals),
+      points: values.map((value, i) => ({ angle: ((angles[i] * 180) / Math.PI) % 360, value, deviation: value - mean })),
+    };
+  }
+
+  const GaugeRunout = { analyze };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeRunout;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeRunout = GaugeRunout;
+  }
+})();
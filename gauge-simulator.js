@@ -0,0 +1,229 @@
+// gauge-simulator.js
+// Virtual dial gauge for hardware-free development and tests.
+// Produces byte-accurate gauge traffic: a leading 0x00, the '-' usually arriving in its own chunk,
+// the digits and a "\r\u0012" terminator, with optional noise, dropouts and garbage bytes.
+// Runs in the browser (as a mock Web Serial port) and in Node (as a serialport mock port).
+// The mock ports accept any chunk source with start(onChunk, onEnd)/stop(), such as a
+// GaugeCapture.Player replaying a recorded session.
+//
+//   const sim = new GaugeSimulator({ profile: 'mm-0.001', motion: 'sine', amplitude: 2, seed: 1 });
+//   sim.start(chunk => parser.feed(chunk));   // or sim.chunksAt(seconds) for deterministic tests
+//
+// Motion profiles: 'constant', 'sine', 'triangle', 'random-walk', 'steps', or a function (t) => value.
+//
+// With `poll` (a command such as '?\r', as text or bytes) the simulator is a gauge that only
+// answers when asked: a reading is sent `latency` ms after the command is written to its port.
+
+(function () {
+  const Profiles = typeof GaugeProfiles !== 'undefined' ? GaugeProfiles : require('./gauge-profiles.js');
+
+  const MOTIONS = ['constant', 'sine', 'triangle', 'random-walk', 'steps'];
+
+  // Small seedable PRNG (mulberry32) so simulated runs can be repeated exactly
+  function createRandom(seed) {
+    if (seed === undefined || seed === null) return Math.random;
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function toBytes(text) {
+    return Uint8Array.from(text, ch => ch.charCodeAt(0) & 0xff);
+  }
+
+  class GaugeSimulator {
+    constructor(options = {}) {
+      this.options = {
+        motion: 'sine',
+        offset: 0, // centre of the motion, in the profile unit
+        amplitude: 1, // half the travel for sine/triangle, step size for random-walk
+        period: 10, // seconds per cycle (sine/triangle) or per level (steps)
+        levels: [0, 1, 2.5, -1], // positions visited by 'steps'
+        interval: 200, // ms between readings
+        noise: 0, // peak random noise added to each reading
+        dropout: 0, // probability that a reading is not sent
+        garbage: 0, // probability of a burst of random bytes instead of a reading
+        splitMinus: 0.9, // probability that '-' arrives in a chunk of its own
+        leadingNull: true,
+        terminator: '\r\u0012',
+        poll: null, // command the gauge answers; readings are only sent when it is written
+        latency: 20, // ms from a poll to its answer
+        seed: undefined,
+        ...options,
+      };
+      if (typeof this.options.motion !== 'function' && !MOTIONS.includes(this.options.motion)) {
+        throw new Error(`Unknown motion profile: ${this.options.motion} (expected ${MOTIONS.join(', ')})`);
+      }
+      this.profile = Profiles.get(this.options.profile);
+      this.random = createRandom(this.options.seed);
+      this.walk = this.options.offset;
+      this.poll = this.options.poll ? Array.from(this.options.poll, ch => (typeof ch === 'string' ? ch.charCodeAt(0) : ch)) : null;
+      this.received = [];
+      this.onChunk = null;
+      this.timer = null;
+      this.startTime = 0;
+    }
+
+    // True gauge position at t seconds, before noise
+    valueAt(t) {
+      const { motion, offset, amplitude, period, levels } = this.options;
+      if (typeof motion === 'function') return motion(t);
+      switch (motion) {
+        case 'sine':
+          return offset + amplitude * Math.sin((2 * Math.PI * t) / period);
+        case 'triangle': {
+          const phase = (t / period) % 1;
+          return offset + amplitude * (phase < 0.5 ? 4 * phase - 1 : 3 - 4 * phase);
+        }
+        case 'random-walk':
+          this.walk += amplitude * (this.random() - 0.5) * 0.1;
+          return this.walk;
+        case 'steps':
+          return offset + levels[Math.floor(t / period) % levels.length];
+        default:
+          return offset;
+      }
+    }
+
+    // Bytes of one complete frame for a value, e.g. -9.891 -> "-\u0000009891\r\u0012"
+    frameFor(value) {
+      const { digits, decimals, sign } = this.profile;
+      const max = Math.pow(10, digits) - 1;
+      const counts = Math.min(max, Math.round(Math.abs(value) * Math.pow(10, decimals)));
+      const negative = value < 0 && counts > 0 && sign !== 'none';
+      return {
+        minus: negative ? '-' : '',
+        body: (this.options.leadingNull ? '\u0000' : '') + String(counts).padStart(digits, '0') + this.options.terminator,
+      };
+    }
+
+    // Chunks the gauge sends for the reading at t seconds (empty on a dropout)
+    chunksAt(t) {
+      const { noise, dropout, garbage, splitMinus } = this.options;
+      if (this.random() < dropout) return [];
+      if (this.random() < garbage) {
+        const length = 1 + Math.floor(this.random() * 8);
+        return [Uint8Array.from({ length }, () => Math.floor(this.random() * 256))];
+      }
+      const value = this.valueAt(t) + noise * (this.random() * 2 - 1);
+      const { minus, body } = this.frameFor(value);
+      if (minus && this.random() < splitMinus) return [toBytes(minus), toBytes(body)];
+      return [toBytes(minus + body)];
+    }
+
+    // Emit chunks on a timer until stop(), or in poll mode each time the command is written
+    start(onChunk) {
+      this.stop();
+      this.startTime = Date.now();
+      this.onChunk = onChunk;
+      this.received = [];
+      if (this.poll) return this;
+      this.timer = setInterval(() => {
+        const t = (Date.now() - this.startTime) / 1000;
+        this.chunksAt(t).forEach(chunk => onChunk(chunk));
+      }, this.options.interval);
+      return this;
+    }
+
+    stop() {
+      if (this.timer) clearInterval(this.timer);
+      this.timer = null;
+      this.onChunk = null;
+      return this;
+    }
+
+    get running() {
+      return this.onChunk !== null;
+    }
+
+    // Bytes written to the gauge's port; in poll mode the command is answered with a reading
+    write(bytes) {
+      if (!this.poll || !this.onChunk) return;
+      this.received = this.received.concat(Array.from(bytes)).slice(-this.poll.length);
+      if (this.received.length < this.poll.length || this.received.some((b, i) => b !== this.poll[i])) return;
+      this.received = [];
+      const onChunk = this.onChunk;
+      setTimeout(() => {
+        if (this.onChunk !== onChunk) return; // stopped meanwhile
+        this.chunksAt((Date.now() - this.startTime) / 1000).forEach(chunk => onChunk(chunk));
+      }, this.options.latency);
+    }
+
+    // Mock Web Serial port for the browser: pass it wherever navigator.serial.requestPort()'s result is used
+    static createWebSerialPort(source) {
+      let controller = null;
+      const port = {
+        readable: null,
+        writable: null,
+        async open() {
+          // Commands written to the port reach sources that answer them, e.g. a polled simulator
+          port.writable = new WritableStream({
+            write(chunk) {
+              if (source.write) source.write(chunk);
+            },
+          });
+          port.readable = new ReadableStream({
+            start(c) {
+              controller = c;
+              source.start(chunk => controller.enqueue(chunk), () => port.close());
+            },
+            cancel() {
+              source.stop();
+            },
+          });
+        },
+        async close() {
+          source.stop();
+          try {
+            if (controller) controller.close();
+          } catch (e) {
+            // Already closed by a cancelled reader
+          }
+          port.readable = null;
+          port.writable = null;
+        },
+        getInfo() {
+          return { simulated: true };
+        },
+        addEventListener() {},
+        removeEventListener() {},
+      };
+      return port;
+    }
+
+    // serialport mock port for Node: behaves like new SerialPort(options) with the source attached,
+    // closing itself when a finite source (e.g. a capture replay) ends
+    static createMockSerialPort(options, source) {
+      const { SerialPortMock } = require('serialport');
+      SerialPortMock.binding.createPort(options.path, { echo: false, record: false });
+      const port = new SerialPortMock(options);
+      port.on('open', () => {
+        if (source.write) {
+          const binding = port.port;
+          const write = binding.write.bind(binding);
+          binding.write = buffer => write(buffer).then(() => source.write(buffer));
+        }
+        source.start(
+          chunk => port.isOpen && port.port.emitData(Buffer.from(chunk)),
+          () => port.isOpen && port.close()
+        );
+      });
+      port.on('close', () => source.stop());
+      return port;
+    }
+  }
+
+  GaugeSimulator.MOTIONS = MOTIONS;
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeSimulator;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeSimulator = GaugeSimulator;
+  }
+})();
@@ -0,0 +1,98 @@
+// gauge-stats.js
+// Running statistics over gauge readings: count, min, max, mean, standard deviation and range (TIR).
+// Covers the whole session, or a window of the last N readings / last N seconds.
+//
+//   const stats = new GaugeStatistics({ windowSize: 100 });
+//   stats.add(12.345);
+//   stats.get(); // { count, min, max, mean, stdDev, range }
+
+(function () {
+  class GaugeStatistics {
+    constructor({ windowSize = 0, windowSeconds = 0 } = {}) {
+      this.windowSize = windowSize;
+      this.windowSeconds = windowSeconds;
+      this.reset();
+    }
+
+    get windowed() {
+      return this.windowSize > 0 || this.windowSeconds > 0;
+    }
+
+    // Change the window (both 0 = whole session). Session totals carry on; a window
+    // opened after session-only collection fills up from the next reading.
+    setWindow({ windowSize = 0, windowSeconds = 0 } = {}) {
+      this.windowSize = windowSize;
+      this.windowSeconds = windowSeconds;
+      this.trim(Date.now());
+    }
+
+    reset() {
+      this.samples = []; // { value, time }, kept for windowed statistics
+      this.count = 0;
+      this.mean = 0;
+      this.m2 = 0; // sum of squared differences from the mean (Welford)
+      this.min = Infinity;
+      this.max = -Infinity;
+    }
+
+    add(value, time = Date.now()) {
+      this.count++;
+      const delta = value - this.mean;
+      this.mean += delta / this.count;
+      this.m2 += delta * (value - this.mean);
+      if (value < this.min) this.min = value;
+      if (value > this.max) this.max = value;
+      this.samples.push({ value, time });
+      this.trim(time);
+    }
+
+    // Drop samples that have left the window; the session totals above are unaffected
+    trim(now) {
+      const keep = this.windowSize > 0 ? this.windowSize : Infinity;
+      let start = Math.max(0, this.samples.length - keep);
+      if (this.windowSeconds > 0) {
+        const cutoff = now - this.windowSeconds * 1000;
+        while (start < this.samples.length && this.samples[start].time < cutoff) start++;
+      }
+      if (start > 0) this.samples.splice(0, start);
+      // Without a window only the totals are needed, so don't grow forever
+      if (!this.windowed) this.samples.length = 0;
+    }
+
+    get() {
+      if (!this.windowed) {
+        return summarize(this.count, this.min, this.max, this.mean, this.m2);
+      }
+      this.trim(Date.now());
+      let count = 0, mean = 0, m2 = 0, min = Infinity, max = -Infinity;
+      this.samples.forEach(({ value }) => {
+        count++;
+        const delta = value - mean;
+        mean += delta / count;
+        m2 += delta * (value - mean);
+        if (value < min) min = value;
+        if (value > max) max = value;
+      });
+      return summarize(count, min, max, mean, m2);
+    }
+  }
+
+  function summarize(count, min, max, mean, m2) {
+    if (count === 0) return { count: 0, min: null, max: null, mean: null, stdDev: null, range: null };
+    return {
+      count,
+      min,
+      max,
+      mean,
+      stdDev: count > 1 ? Math.sqrt(m2 / (count - 1)) : 0, // sample standard deviation
+      range: max - min, // total indicated reading (TIR)
+    };
+  }
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeStatistics;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeStatistics = GaugeStatistics;
+  }
+})();
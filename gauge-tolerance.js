@@ -0,0 +1,45 @@
+// gauge-tolerance.js
+// Go/no-go checks: a nominal size with plus/minus tolerances and an optional warning band.
+// Readings inside the limits pass, readings in the warning band at either edge warn, and
+// anything outside the limits fails.
+//
+//   const tolerance = GaugeTolerance.normalize({ nominal: 0, plus: 0.05, minus: 0.05, warning: 0.2 });
+//   GaugeTolerance.classify(0.045, tolerance); // 'warn' (within 20% of the +0.05 limit)
+
+(function () {
+  const RESULTS = ['pass', 'warn', 'fail'];
+
+  // Check and fill in a tolerance; plus and minus are magnitudes, warning is a fraction (0-1)
+  // of each side's tolerance, measured in from the limit
+  function normalize({ nominal = 0, plus, minus = plus, warning = 0 } = {}) {
+    [nominal, plus, minus, warning].forEach(v => {
+      if (typeof v !== 'number' || !isFinite(v)) throw new Error('Tolerance values must be numbers');
+    });
+    if (plus < 0 || minus < 0) throw new Error('Tolerances must not be negative');
+    if (warning < 0 || warning > 1) throw new Error('Tolerance warning band must be between 0 and 1');
+    return { nominal, plus, minus, warning, lower: nominal - minus, upper: nominal + plus };
+  }
+
+  // Whether a deviation is past a limit, rounding away floating point noise so that a reading
+  // exactly on the limit (12.55 against 12.5 + 0.05) isn't
+  function beyond(deviation, limit) {
+    return Math.round((deviation - limit) * 1e9) > 0;
+  }
+
+  function classify(value, tolerance) {
+    const { nominal, plus, minus, warning } = tolerance;
+    const deviation = value - nominal;
+    if (beyond(deviation, plus) || beyond(-deviation, minus)) return 'fail';
+    if (beyond(deviation, plus * (1 - warning)) || beyond(-deviation, minus * (1 - warning))) return 'warn';
+    return 'pass';
+  }
+
+  const GaugeTolerance = { RESULTS, normalize, classify };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeTolerance;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeTolerance = GaugeTolerance;
+  }
+})();
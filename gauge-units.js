@@ -0,0 +1,93 @@
+// gauge-units.js
+// Length units shared by every module: conversion, labels and display resolution, so a value
+// converted in the web page, the CLI and SerialGaugeHandler always comes out the same.
+//
+// Units: 'mm', 'in', 'um' (micrometres, shown as µm) and 'thou' (0.001 in). Anything that takes
+// a unit also accepts the usual spellings ('inch', 'µm', 'micron', 'mil', ...).
+//
+//   GaugeUnits.convert(1, 'in', 'mm');              // 25.4
+//   GaugeUnits.fromMm(0.0254, 'thou');              // 1
+//   GaugeUnits.format(12.7, 'thou');                // '12.70' (default resolution for the unit)
+//   GaugeUnits.format(12.7, 'thou', { decimals: 0, label: true });   // '13 thou'
+//   GaugeUnits.convertDecimals(3, 'mm', 'in');      // 5: a 0.001 mm gauge shown in inches
+
+(function () {
+  const UNITS = {
+    mm: { label: 'mm', mm: 1, decimals: 3 },
+    in: { label: 'in', mm: 25.4, decimals: 4 },
+    um: { label: 'µm', mm: 0.001, decimals: 1 },
+    thou: { label: 'thou', mm: 0.0254, decimals: 2 },
+  };
+  const ALIASES = {
+    millimeter: 'mm',
+    millimetre: 'mm',
+    inch: 'in',
+    inches: 'in',
+    '"': 'in',
+    'µm': 'um', // micro sign
+    'μm': 'um', // Greek mu
+    micron: 'um',
+    microns: 'um',
+    micrometer: 'um',
+    micrometre: 'um',
+    mil: 'thou',
+    mils: 'thou',
+  };
+
+  // The canonical id of a unit, throwing on anything unknown
+  function unit(name) {
+    const key = String(name).trim();
+    const id = UNITS[key] ? key : ALIASES[key.toLowerCase()] || ALIASES[key];
+    if (!id) throw new Error(`Unknown unit: ${name} (expected ${list().join(', ')})`);
+    return id;
+  }
+
+  function list() {
+    return Object.keys(UNITS);
+  }
+
+  function label(name) {
+    return UNITS[unit(name)].label;
+  }
+
+  // Decimals to show a value in this unit with, unless given
+  function decimals(name, given) {
+    return given === undefined || given === null || given === '' ? UNITS[unit(name)].decimals : Number(given);
+  }
+
+  // 12 significant digits is far beyond any gauge and drops the floating point noise of the
+  // scaling (and of zeroing, since the result is tidied even when the units are the same)
+  function convert(value, from, to) {
+    if (value === null || value === undefined) return value;
+    return Number((value * UNITS[unit(from)].mm / UNITS[unit(to)].mm).toPrecision(12));
+  }
+
+  function toMm(value, from) {
+    return convert(value, from, 'mm');
+  }
+
+  function fromMm(value, to) {
+    return convert(value, 'mm', to);
+  }
+
+  // Decimals that keep a reading's resolution once converted, e.g. 0.001 mm is 0.00004 in (5 decimals)
+  function convertDecimals(given, from, to) {
+    const step = convert(Math.pow(10, -given), from, to);
+    return Math.max(0, Math.ceil(-Math.log10(step) - 1e-9));
+  }
+
+  // A value already in `name` as text, at the unit's resolution unless decimals are given
+  function format(value, name, { decimals: given, label: withLabel = false } = {}) {
+    const text = value.toFixed(decimals(name, given));
+    return withLabel ? `${text} ${label(name)}` : text;
+  }
+
+  const GaugeUnits = { UNITS, unit, list, label, decimals, convertDecimals, convert, toMm, fromMm, format };
+
+  // Export for use in Node.js or browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaugeUnits;
+  } else if (typeof window !== 'undefined') {
+    window.GaugeUnits = GaugeUnits;
+  }
+})();
@@ -1,159 +1,1044 @@
 // serial-gauge-log.js
 // Node.js script to read and parse digital dial gauge data from a serial port
-// Usage: node serial-gauge-log.js /dev/ttyUSB0
+// Usage: node serial-gauge-log.js /dev/ttyUSB0 [--profile mm-0.01] [--profiles my-gauges.json]
+//        node serial-gauge-log.js --simulate sine --count 5   (no hardware needed)
+//        node serial-gauge-log.js /dev/ttyUSB0 --record session.jsonl
+//        node serial-gauge-log.js --replay session.jsonl --speed 10
+//        node serial-gauge-log.js /dev/ttyUSB0 --format csv --output readings.csv --append --quiet
+//        node serial-gauge-log.js /dev/ttyUSB0 --count 100 --stats
+//        node serial-gauge-log.js /dev/ttyUSB0 --retries 10   (give up after 10 reconnect attempts)
+//        node serial-gauge-log.js --list
+//        node serial-gauge-log.js --auto [--vid 1a86 --pid 7523 --serial-number A1B2]
+//        node serial-gauge-log.js serve /dev/ttyUSB0 [--listen 8080] [--host 127.0.0.1]   (HTTP/WebSocket bridge)
+//        node serial-gauge-log.js /dev/ttyUSB0 --mqtt mqtt://broker:1883 [--gauge-id bore-1] [--mqtt-qos 1]
+//        node serial-gauge-log.js /dev/ttyUSB0 --calibration bore-1.json --format csv   (corrected and uncorrected readings)
+//        node serial-gauge-log.js /dev/ttyUSB0 --filter median --filter-size 5 --stable 0.005 --stable-time 0.5
+//        node serial-gauge-log.js /dev/ttyUSB0 --hold max   (log the high spot as it is found)
+//        node serial-gauge-log.js /dev/ttyUSB0 --poll '?\r' --poll-interval 0.5 --poll-timeout 1   (gauges that answer a command)
 
 
+const { EventEmitter } = require('events');
 const { SerialPort } = require('serialport');
-const { Readline } = require('@serialport/parser-readline');
+const fs = require('fs');
+const { basename } = require('path');
+const GaugeParser = require('./gauge-parser.js');
+const GaugeProfiles = require('./gauge-profiles.js');
+const GaugeSimulator = require('./gauge-simulator.js');
+const GaugeCapture = require('./gauge-capture.js');
+const GaugeStatistics = require('./gauge-stats.js');
+const GaugeBridge = require('./gauge-bridge.js');
+const GaugeMqttPublisher = require('./gauge-mqtt.js');
+const GaugeCalibration = require('./gauge-calibration.js');
+const GaugeFilter = require('./gauge-filter.js');
+const GaugeUnits = require('./gauge-units.js');
+const GaugeHold = require('./gauge-hold.js');
+const GaugePoller = require('./gauge-poll.js');
+
+const SIMULATED_PORT_PATH = '/dev/gauge-sim';
+const FORMATS = ['csv', 'jsonl', 'json', 'plain'];
+// retries: 0 = keep trying; delays double from minDelay up to maxDelay (ms)
+const RECONNECT_DEFAULTS = { retries: 0, minDelay: 500, maxDelay: 30000 };
 
 // Simple argument parser
 function parseArgs() {
   const args = process.argv.slice(2);
-  let port = null, count = 0, timeout = 0;
+  let port = null, count = 0, timeout = 0, profile = null, profilesFile = null, simulate = null;
+  let record = null, replay = null, speed = 1;
+  let format = null, output = null, append = false, quiet = false, stats = false;
+  let reconnect = true, retries = 0;
+  let list = false, auto = false, probeTime = 2, vendorId = null, productId = null, serialNumber = null;
+  let serve = false, listen = 8080, host = '127.0.0.1', history = 1000;
+  let mqtt = null, mqttTopic = GaugeMqttPublisher.DEFAULTS.topic, mqttQos = 0, mqttRetain = false, gaugeId = null;
+  let calibration = null;
+  let filter = null, filterSize = GaugeFilter.FILTER_DEFAULTS.size, filterAlpha = GaugeFilter.FILTER_DEFAULTS.alpha;
+  let stable = null, stableTime = GaugeFilter.STABILITY_DEFAULTS.time / 1000;
+  let unit = null, decimals = null, hold = null;
+  let poll = null, pollInterval = GaugePoller.DEFAULTS.interval / 1000, pollTimeout = GaugePoller.DEFAULTS.timeout / 1000;
   for (let i = 0; i < args.length; ++i) {
-    if (!port && !args[i].startsWith('--')) {
+    if (i === 0 && args[i] === 'serve') {
+      serve = true;
+    } else if (!port && !args[i].startsWith('--')) {
       port = args[i];
     } else if (args[i] === '--count') {
       count = parseInt(args[++i], 10);
     } else if (args[i] === '--timeout') {
       timeout = parseFloat(args[++i]);
+    } else if (args[i] === '--profile') {
+      profile = args[++i];
+    } else if (args[i] === '--profiles') {
+      profilesFile = args[++i];
+    } else if (args[i] === '--simulate') {
+      simulate = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'sine';
+    } else if (args[i] === '--record') {
+      record = args[++i];
+    } else if (args[i] === '--replay') {
+      replay = args[++i];
+    } else if (args[i] === '--speed') {
+      // A factor above 0, or max for no delays; anything else would stall or rush the replay
+      const value = args[++i];
+      speed = value === 'max' ? Infinity : Number(value);
+      if (value !== 'max' && !(Number.isFinite(speed) && speed > 0)) {
+        console.error(`[ERROR] --speed must be a number above 0 or max, not ${value}`);
+        process.exit(1);
+      }
+    } else if (args[i] === '--format') {
+      format = args[++i];
+    } else if (args[i] === '--output') {
+      output = args[++i];
+    } else if (args[i] === '--append') {
+      append = true;
+    } else if (args[i] === '--quiet') {
+      quiet = true;
+    } else if (args[i] === '--stats') {
+      stats = true;
+    } else if (args[i] === '--no-reconnect') {
+      reconnect = false;
+    } else if (args[i] === '--retries') {
+      retries = parseInt(args[++i], 10);
+    } else if (args[i] === '--list') {
+      list = true;
+    } else if (args[i] === '--auto') {
+      auto = true;
+    } else if (args[i] === '--probe-time') {
+      probeTime = parseFloat(args[++i]);
+    } else if (args[i] === '--vid') {
+      vendorId = args[++i];
+    } else if (args[i] === '--pid') {
+      productId = args[++i];
+    } else if (args[i] === '--serial-number') {
+      serialNumber = args[++i];
+    } else if (args[i] === '--listen') {
+      listen = parseInt(args[++i], 10);
+    } else if (args[i] === '--host') {
+      host = args[++i];
+    } else if (args[i] === '--history') {
+      history = parseInt(args[++i], 10);
+    } else if (args[i] === '--mqtt') {
+      mqtt = args[++i];
+    } else if (args[i] === '--mqtt-topic') {
+      mqttTopic = args[++i];
+    } else if (args[i] === '--mqtt-qos') {
+      mqttQos = parseInt(args[++i], 10);
+    } else if (args[i] === '--mqtt-retain') {
+      mqttRetain = true;
+    } else if (args[i] === '--gauge-id') {
+      gaugeId = args[++i];
+    } else if (args[i] === '--calibration') {
+      calibration = args[++i];
+    } else if (args[i] === '--filter') {
+      filter = args[++i];
+    } else if (args[i] === '--filter-size') {
+      filterSize = parseInt(args[++i], 10);
+    } else if (args[i] === '--filter-alpha') {
+      filterAlpha = parseFloat(args[++i]);
+    } else if (args[i] === '--stable') {
+      stable = parseFloat(args[++i]);
+    } else if (args[i] === '--stable-time') {
+      stableTime = parseFloat(args[++i]);
+    } else if (args[i] === '--unit') {
+      unit = args[++i];
+    } else if (args[i] === '--decimals') {
+      decimals = parseInt(args[++i], 10);
+    } else if (args[i] === '--hold') {
+      hold = args[++i];
+    } else if (args[i] === '--poll') {
+      poll = args[++i];
+    } else if (args[i] === '--poll-interval') {
+      pollInterval = parseFloat(args[++i]);
+    } else if (args[i] === '--poll-timeout') {
+      pollTimeout = parseFloat(args[++i]);
     }
   }
-  return { port, count, timeout };
+  return {
+    port, count, timeout, profile, profilesFile, simulate, record, replay, speed, format, output, append, quiet, stats,
+    reconnect, retries, list, auto, probeTime, vendorId, productId, serialNumber, serve, listen, host, history,
+    mqtt, mqttTopic, mqttQos, mqttRetain, gaugeId, calibration, filter, filterSize, filterAlpha, stable, stableTime,
+    unit, decimals, hold, poll, pollInterval, pollTimeout,
+  };
 }
 
+// Register user-defined gauge profiles from a JSON file
+function loadProfiles(file) {
+  return GaugeProfiles.loadJSON(fs.readFileSync(file, 'utf8'));
+}
 
-const EXPECTED_DIGIT_LENGTH = 6; // adjust if your gauge sends a different length
+// Read a gauge's calibration table (gauge-calibration.js) from a JSON file
+function loadCalibration(file) {
+  return GaugeCalibration.normalize(fs.readFileSync(file, 'utf8'));
+}
 
-function getGaugeValues({ portPath, count = 0, timeout = 0, logFunc } = {}) {
-  return new Promise((resolve, reject) => {
-    const port = new SerialPort({
-      path: portPath,
-      baudRate: 9600,
-      dataBits: 8,
-      stopBits: 1,
-      parity: 'none',
-      autoOpen: true,
-    });
-    let serialBuffer = '';
-    let pendingMinus = false;
-    let collectedValues = [];
-    let done = false;
-    let timer = null;
-    function logLine(msg) {
-      if (logFunc) logFunc(msg);
-      else {
-        const line = `[${new Date().toLocaleTimeString()}] ${msg}`;
-        console.log(line);
-      }
+function defaultLogLine(msg) {
+  const line = `[${new Date().toLocaleTimeString()}] ${msg}`;
+  console.log(line);
+}
+
+// Log a raw chunk and feed it through the shared frame parser
+function parseGaugeData(parser, data, opts = {}) {
+  const {
+    onValue,
+    logRaw = defaultLogLine,
+    logBin = defaultLogLine,
+    logParsed = defaultLogLine,
+    logInfo = defaultLogLine,
+  } = opts;
+  const hex = Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' ');
+  logBin(`[BIN] [${data.length} bytes] ${hex}`);
+  const text = data.toString('latin1');
+  logRaw(`[RAW] ${JSON.stringify(text)}`);
+  for (const frame of parser.feed(data)) {
+    if (frame.type === 'value') {
+      if (onValue) onValue(frame.value, frame.text, frame.unit);
+      logParsed(`[PARSED] ${frame.text} ${frame.unit}`);
+    } else {
+      logInfo(`[INFO] Ignored buffer (${frame.reason}): ${JSON.stringify(frame.digits)}`);
+    }
+  }
+}
+
+// Streaming gauge reader. Events:
+//   'open'  - port opened
+//   'raw'   - (chunk) every raw Buffer as received
+//   'value' - ({ value, text, unit, timestamp }) every parsed reading; with a calibration, value
+//             and text are corrected and the reading also has the gauge's own value as uncorrected
+//   'stable' - ({ value, text, unit, timestamp, since }) the readings have settled (with `stability`);
+//             value is their mean
+//   'unstable' - (reading) the readings are moving again after settling
+//   'hold' - ({ value, text, unit, timestamp, mode }) the held value changed (with a `hold` mode)
+//   'poll-timeout' - ({ id, sent, timeout, command }) a poll went unanswered (with `poll`)
+//   'error' - (err) serial port error
+//   'disconnect' - (err) the device went away and the reader is trying to reopen it
+//   'reconnect' - the port was reopened after a disconnect
+//   'close' - port closed, by close(), the signal aborting or the device going away
+// Also async-iterable: `for await (const reading of reader)` opens the port if needed
+// and ends when the reader closes.
+// Pass a GaugeSimulator or GaugeCapture.Player as `source` to read from a mock port instead
+// of hardware, and a GaugeCapture.Recorder as `recorder` to capture every raw chunk.
+// Pass `reconnect: true` (or { retries, minDelay, maxDelay }) to reopen the port with backoff
+// when the gauge is unplugged or resets, instead of closing. `findPort` (async, returning a path)
+// is asked again before each attempt, for adapters that come back under another path.
+// Pass a calibration table (gauge-calibration.js) as `calibration` to correct every reading, and
+// GaugeFilter options (gauge-filter.js) as `filter` ({ type, size, alpha }) to smooth them and as
+// `stability` ({ tolerance, time }) for 'stable' events. Both work on the corrected readings.
+// Pass `unit` ('mm', 'in', 'um' or 'thou', see gauge-units.js) to have readings converted to it,
+// and `decimals` to show them at another resolution than the gauge's own. The stability tolerance
+// is then in that unit.
+// Pass `hold` ('max', 'min' or 'peak-to-peak', see gauge-hold.js) to hold the highest or lowest
+// reading or the spread between them, like an indicator's hold modes: every reading then carries
+// the held value as `hold` ({ mode, value, text }). setHold() changes the mode, resetHold()
+// starts holding again.
+// Pass `poll` ({ command, interval, timeout }, see gauge-poll.js) for gauges that only send a reading
+// when asked; a profile with `poll` is polled without it, and `poll: false` turns that off. The
+// command is written every interval ms while the port is open, and poll() sends one now (0 polls
+// only then). Each reading that answers a poll carries `poll` ({ id, latency }).
+class GaugeReader extends EventEmitter {
+  constructor({ portPath, profile, signal, source, recorder, logFunc, reconnect = false, findPort, calibration, filter, stability, unit, decimals, hold, poll } = {}) {
+    super();
+    this.portPath = portPath || (source ? SIMULATED_PORT_PATH : undefined);
+    this.profile = GaugeProfiles.get(profile);
+    this.signal = signal;
+    this.source = source;
+    this.recorder = recorder;
+    this.logLine = logFunc || defaultLogLine;
+    this.parser = new GaugeParser(this.profile);
+    this.port = null;
+    this.closed = false;
+    this.reconnect = reconnect ? { ...RECONNECT_DEFAULTS, ...(reconnect === true ? {} : reconnect) } : null;
+    this.reconnectTimer = null;
+    this.findPort = findPort;
+    this.calibration = calibration ? GaugeCalibration.normalize(calibration) : null;
+    this.filter = filter && filter.type !== 'none' ? new GaugeFilter.Filter(filter) : null;
+    this.stability = stability ? new GaugeFilter.Stability(stability) : null;
+    this.filterUnit = null;
+    this.unit = unit ? GaugeUnits.unit(unit) : null;
+    if (decimals !== undefined && decimals !== null && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= 10)) {
+      throw new Error(`Decimals must be a whole number from 0 to 10 (got ${decimals})`);
     }
-    function parseGaugeData(data, opts = {}) {
-      const {
-        onValue,
-        logRaw = logLine,
-        logBin = logLine,
-        logParsed = logLine,
-        logInfo = logLine,
-        logWarn = logLine,
-        logError = logLine,
-      } = opts;
-      const hex = Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' ');
-      logBin(`[BIN] [${data.length} bytes] ${hex}`);
-      const text = data.toString('latin1');
-      logRaw(`[RAW] ${JSON.stringify(text)}`);
-      for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-        if (ch === '-') {
-          pendingMinus = true;
-          continue;
+    this.decimals = decimals === undefined ? null : decimals;
+    this.hold = new GaugeHold({ mode: hold || 'off' });
+    const pollOptions = poll !== undefined ? poll : this.profile.poll;
+    this.poller = pollOptions ? new GaugePoller({
+      ...pollOptions,
+      write: bytes => this.write(bytes),
+      onTimeout: (request) => {
+        this.logLine(`[TIMEOUT] Poll #${request.id} (${request.command}) not answered within ${request.timeout} ms`);
+        this.emit('poll-timeout', request);
+      },
+      onError: (err, request) => this.logLine(`[ERROR] Poll #${request.id} could not be sent: ${err.message}`),
+    }) : null;
+    this.onAbort = () => this.close();
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      if (this.port) {
+        reject(new Error('GaugeReader is already open'));
+        return;
+      }
+      if (this.signal && this.signal.aborted) {
+        reject(new Error('GaugeReader aborted before opening'));
+        return;
+      }
+      // Listen before opening: an abort while the port opens would otherwise go unseen
+      if (this.signal) this.signal.addEventListener('abort', this.onAbort, { once: true });
+      this.openPort((err) => {
+        if (this.closed) {
+          // Aborted or closed while the port was opening
+          if (!err) this.port.close();
+          reject(new Error(`GaugeReader ${this.signal && this.signal.aborted ? 'aborted' : 'closed'} while opening`));
+          return;
         }
-        if (ch === '\r' || ch === '\n' || ch === '\u0012') {
-          if (serialBuffer.length > 0) {
-            if (serialBuffer.length === EXPECTED_DIGIT_LENGTH) {
-              let numStr = serialBuffer.replace(/^0+/, '');
-              if (numStr.length === 0) numStr = '0';
-              if (numStr.length > 3) {
-                numStr = numStr.slice(0, -3) + '.' + numStr.slice(-3);
-              } else if (numStr.length === 3) {
-                numStr = '0.' + numStr;
-              } else if (numStr.length === 2) {
-                numStr = '0.0' + numStr;
-              } else if (numStr.length === 1) {
-                numStr = '0.00' + numStr;
-              }
-              if (pendingMinus) {
-                numStr = '-' + numStr;
-              }
-              const mmVal = parseFloat(numStr);
-              if (!isNaN(mmVal)) {
-                if (onValue) onValue(mmVal, numStr);
-                logParsed(`[PARSED] ${numStr} mm`);
-              } else {
-                logWarn('[WARN] Could not parse buffered value: ' + JSON.stringify(serialBuffer));
-              }
-            } else {
-              logInfo(`[INFO] Ignored buffer (unexpected length ${serialBuffer.length}): ${JSON.stringify(serialBuffer)}`);
-            }
+        if (err) {
+          if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+          this.logLine('[ERROR] ' + err.message);
+          reject(err);
+          return;
+        }
+        this.logLine(`[STATUS] Connected to ${this.portPath} (profile ${this.profile.id})`);
+        this.emit('open');
+        resolve(this);
+      });
+    });
+  }
+
+  // Create and open the port with all its listeners; callback(err) once open or failed
+  openPort(callback) {
+    const { baudRate, dataBits, stopBits, parity } = this.profile.serial;
+    const portOptions = {
+      path: this.portPath,
+      baudRate,
+      dataBits,
+      stopBits,
+      parity,
+      autoOpen: false,
+    };
+    this.port = this.source
+      ? GaugeSimulator.createMockSerialPort(portOptions, this.source)
+      : new SerialPort(portOptions);
+    this.port.on('error', (err) => {
+      this.logLine('[ERROR] ' + err.message);
+      this.emit('error', err);
+    });
+    this.port.on('close', (err) => this.onPortClose(err));
+    this.port.on('data', (data) => {
+      if (this.recorder) this.recorder.record(data);
+      this.emit('raw', data);
+      parseGaugeData(this.parser, data, {
+        logRaw: this.logLine,
+        logBin: this.logLine,
+        logParsed: this.logLine,
+        logInfo: this.logLine,
+        onValue: (value, text, unit) => {
+          const reading = this.reading(value, text, unit);
+          const answered = this.poller && this.poller.answer();
+          if (answered) reading.poll = answered;
+          const held = this.checkHold(reading);
+          this.emit('value', reading);
+          if (held) this.emit('hold', held);
+          if (this.stability) this.checkStability(reading);
+        },
+      });
+    });
+    this.port.open((err) => {
+      if (err) {
+        this.port.removeAllListeners();
+        this.port = null;
+      } else if (this.poller && !this.closed) {
+        this.poller.start();
+      }
+      callback(err);
+    });
+  }
+
+  // Write bytes to the gauge, e.g. a poll command
+  write(bytes) {
+    return new Promise((resolve, reject) => {
+      if (!this.port || !this.port.isOpen) {
+        reject(new Error(`${this.portPath} is not open`));
+        return;
+      }
+      this.port.write(Buffer.from(bytes), err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Poll the gauge now, e.g. on a trigger key: the poll's id, or null while the last one is waiting
+  poll() {
+    if (!this.poller) throw new Error('GaugeReader has no poll command');
+    const id = this.poller.poll();
+    if (id === null) this.logLine(`[INFO] Poll #${this.poller.pending.id} is still waiting for an answer`);
+    return id;
+  }
+
+  reading(value, text, unit) {
+    const reading = { value, text, unit, timestamp: new Date().toISOString() };
+    if (unit !== this.filterUnit) {
+      // Readings in mm and inches don't mix
+      this.resetFilters();
+      this.hold.reset();
+      this.filterUnit = unit;
+    }
+    if (this.calibration) {
+      reading.uncorrected = value;
+      value = GaugeCalibration.correct(this.calibration, value, unit);
+    }
+    if (this.filter) value = this.filter.add(value);
+    if (value !== reading.value) {
+      // Kept to the gauge's resolution, which is all the correction and smoothing can be trusted to
+      const decimals = (text.split('.')[1] || '').length;
+      reading.value = Number(value.toFixed(decimals));
+      reading.text = reading.value.toFixed(decimals);
+    }
+    const display = this.unit || unit;
+    if (display !== unit || this.decimals !== null) {
+      // Converted last, so the calibration and filters work on what the gauge sent
+      const decimals = this.decimals !== null ? this.decimals : GaugeUnits.convertDecimals((text.split('.')[1] || '').length, unit, display);
+      reading.value = Number(GaugeUnits.convert(reading.value, unit, display).toFixed(decimals));
+      reading.text = reading.value.toFixed(decimals);
+      reading.unit = display;
+      if (this.calibration) reading.uncorrected = GaugeUnits.convert(reading.uncorrected, unit, display);
+    }
+    return reading;
+  }
+
+  checkStability(reading) {
+    const change = this.stability.add(reading.value, Date.parse(reading.timestamp));
+    if (change === 'stable') {
+      const decimals = (reading.text.split('.')[1] || '').length;
+      const { value, since } = this.stability.stable;
+      const settled = Number(value.toFixed(decimals));
+      this.emit('stable', { ...reading, value: settled, text: settled.toFixed(decimals), since: new Date(since).toISOString() });
+    } else if (change === 'unstable') {
+      this.emit('unstable', reading);
+    }
+  }
+
+  // Add the held value to the reading; returns the held reading for a 'hold' event when it changed
+  checkHold(reading) {
+    const changed = this.hold.add(reading.value);
+    if (this.hold.mode === 'off') return null;
+    const decimals = (reading.text.split('.')[1] || '').length;
+    const value = Number(this.hold.value().toFixed(decimals));
+    reading.hold = { mode: this.hold.mode, value, text: value.toFixed(decimals) };
+    return changed ? { ...reading, value, text: reading.hold.text, mode: this.hold.mode } : null;
+  }
+
+  setHold(mode) {
+    return this.hold.setMode(mode);
+  }
+
+  // Hold again from the next reading
+  resetHold() {
+    this.hold.reset();
+  }
+
+  resetFilters() {
+    if (this.filter) this.filter.reset();
+    if (this.stability) this.stability.reset();
+  }
+
+  // serialport closes the port with a DisconnectedError when the device goes away
+  onPortClose(err) {
+    if (!(err && err.disconnected && this.reconnect) || this.closed) {
+      this.finish();
+      return;
+    }
+    this.port.removeAllListeners();
+    this.port = null;
+    this.parser.reset();
+    this.resetFilters();
+    if (this.poller) this.poller.stop();
+    if (this.recorder) this.recorder.mark('disconnect');
+    this.logLine(`[STATUS] Lost ${this.portPath} (${err.message}), reconnecting`);
+    this.emit('disconnect', err);
+    this.scheduleReconnect(0);
+  }
+
+  scheduleReconnect(attempt) {
+    const { retries, minDelay, maxDelay } = this.reconnect;
+    if (retries && attempt >= retries) {
+      const err = new Error(`Could not reconnect to ${this.portPath} after ${attempt} attempt(s)`);
+      this.logLine('[ERROR] ' + err.message);
+      this.emit('error', err);
+      this.finish();
+      return;
+    }
+    const delay = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.findPort) {
+        try {
+          const path = await this.findPort();
+          if (path && path !== this.portPath) {
+            this.logLine(`[INFO] Gauge is now on ${path}`);
+            this.portPath = path;
           }
-          serialBuffer = '';
-          pendingMinus = false;
-        } else if (ch >= '0' && ch <= '9') {
-          serialBuffer += ch;
+        } catch (err) {
+          // Keep trying the last known path
         }
+        if (this.closed) return;
       }
+      this.openPort((err) => {
+        if (this.closed) {
+          // close() was called while the port was opening
+          if (!err) this.port.close();
+          return;
+        }
+        if (err) {
+          this.logLine(`[INFO] Reconnect attempt ${attempt + 1} failed (${err.message})`);
+          this.scheduleReconnect(attempt + 1);
+          return;
+        }
+        this.logLine(`[STATUS] Reconnected to ${this.portPath} after ${attempt + 1} attempt(s)`);
+        this.emit('reconnect');
+      });
+    }, delay);
+  }
+
+  close() {
+    if (this.poller) this.poller.stop();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
     }
-    port.on('open', () => {
-      logLine('[STATUS] Connected to ' + portPath);
+    return new Promise((resolve) => {
+      if (!this.port || !this.port.isOpen) {
+        this.finish();
+        resolve();
+        return;
+      }
+      this.port.close(() => {
+        this.finish();
+        resolve();
+      });
     });
-    port.on('error', (err) => {
-      logLine('[ERROR] ' + err.message);
-      if (!done) {
-        done = true;
-        if (timer) clearTimeout(timer);
-        reject(err);
+  }
+
+  // Tear down once, however the port went away
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+    if (this.port) this.port.removeAllListeners('data');
+    this.parser.reset();
+    if (this.poller) {
+      this.poller.stop();
+      if (this.poller.stats.sent) this.logLine(`[POLL] ${this.poller.summary()}`);
+    }
+    this.emit('close');
+  }
+
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    let waiting = null;
+    let failure = null;
+    const settle = () => {
+      if (!waiting) return;
+      const { resolve, reject } = waiting;
+      if (queue.length > 0) {
+        resolve({ value: queue.shift(), done: false });
+      } else if (failure) {
+        // for await doesn't call return() when next() rejects, so let go of the reader here
+        cleanup();
+        this.close().then(() => reject(failure));
+      } else if (this.closed) {
+        resolve({ value: undefined, done: true });
+      } else {
+        return;
+      }
+      waiting = null;
+    };
+    const onValue = (reading) => {
+      queue.push(reading);
+      settle();
+    };
+    const onError = (err) => {
+      failure = err;
+      settle();
+    };
+    const cleanup = () => {
+      this.off('value', onValue);
+      this.off('error', onError);
+      this.off('close', settle);
+    };
+    this.on('value', onValue);
+    this.on('error', onError);
+    this.on('close', settle);
+    if (!this.port && !this.closed) this.open().catch(onError);
+    return {
+      next: () => new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      }),
+      return: async () => {
+        cleanup();
+        await this.close();
+        return { value: undefined, done: true };
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+}
+
+// Pick an output format from a file name, e.g. readings.csv -> 'csv'
+function formatForFile(file) {
+  const ext = (file.match(/\.(\w+)$/) || [])[1];
+  return FORMATS.includes(ext) ? ext : 'plain';
+}
+
+// Write readings to a stream as they arrive, in one of FORMATS.
+// header: false skips the CSV header, e.g. when appending to an existing file.
+// uncorrected: true adds a column with the reading before calibration correction.
+function createValueWriter(format, stream, { header = true, uncorrected = false } = {}) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  let count = 0;
+  if (format === 'csv' && header) stream.write(uncorrected ? 'timestamp,value,uncorrected,unit\n' : 'timestamp,value,unit\n');
+  if (format === 'json') stream.write('[');
+  return {
+    write({ timestamp, value, text, unit, uncorrected: measured }) {
+      const entry = uncorrected ? { timestamp, value, text, unit, uncorrected: measured } : { timestamp, value, text, unit };
+      if (format === 'csv' && uncorrected) stream.write(`${timestamp},${text},${measured.toFixed((text.split('.')[1] || '').length)},${unit}\n`);
+      else if (format === 'csv') stream.write(`${timestamp},${text},${unit}\n`);
+      else if (format === 'jsonl') stream.write(JSON.stringify(entry) + '\n');
+      else if (format === 'json') stream.write((count ? ',\n' : '\n') + JSON.stringify(entry));
+      else stream.write(text + '\n');
+      count++;
+    },
+    // Note a gap in the readings, e.g. while the gauge was unplugged
+    gap({ timestamp, reason = 'disconnected' }) {
+      if (format === 'csv') stream.write(`${timestamp},${reason},${uncorrected ? ',' : ''}\n`);
+      else if (format === 'jsonl') stream.write(JSON.stringify({ timestamp, gap: reason }) + '\n');
+      else if (format === 'json') stream.write((count++ ? ',\n' : '\n') + JSON.stringify({ timestamp, gap: reason }));
+      else stream.write(`# ${reason} ${timestamp}\n`);
+    },
+    end() {
+      if (format === 'json') stream.write(count ? '\n]\n' : ']\n');
+    },
+  };
+}
+
+// Collect readings until `count` or `timeout`. With `poll`, `trigger` can be an EventEmitter whose
+// 'poll' events poll the gauge now, e.g. on a key press.
+function getGaugeValues({ portPath, count = 0, timeout = 0, profile, signal, source, recorder, onValue, onStable, onHold, onDisconnect, onPollTimeout, trigger, logFunc, reconnect, findPort, calibration, filter, stability, unit, decimals, hold, poll } = {}) {
+  return new Promise((resolve, reject) => {
+    let reader;
+    try {
+      reader = new GaugeReader({ portPath, profile, signal, source, recorder, logFunc, reconnect, findPort, calibration, filter, stability, unit, decimals, hold, poll });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    const logLine = reader.logLine;
+    const collectedValues = [];
+    let done = false;
+    let timer = null;
+    const onTrigger = () => {
+      if (reader.port) reader.poll();
+    };
+    function finish(err) {
+      if (done) return;
+      done = true;
+      if (timer) clearTimeout(timer);
+      if (trigger) trigger.removeListener('poll', onTrigger);
+      if (err) {
+        reader.close().then(() => reject(err));
+      } else {
+        reader.close().then(() => resolve(collectedValues));
       }
+    }
+    reader.on('error', finish);
+    reader.on('close', () => finish());
+    reader.on('disconnect', (err) => {
+      if (onDisconnect) onDisconnect({ timestamp: new Date().toISOString(), reason: 'disconnected', error: err });
     });
-    port.on('data', (data) => {
+    reader.on('stable', (reading) => {
       if (done) return;
-      parseGaugeData(data, {
-        onValue: (mmVal, numStr) => {
-          collectedValues.push([mmVal, numStr]);
-          logLine(`[VALUE] ${mmVal} mm`);
-          if (count && collectedValues.length >= count) {
-            logLine(`[DONE] Collected ${collectedValues.length} value(s). Exiting.`);
-            done = true;
-            if (timer) clearTimeout(timer);
-            port.close(() => resolve(collectedValues));
-          }
-        },
-      });
+      if (onStable) onStable(reading);
+      logLine(`[STABLE] ${reading.value} ${reading.unit}`);
+    });
+    reader.on('unstable', () => {
+      if (!done) logLine('[UNSTABLE] Reading moving again');
+    });
+    reader.on('hold', (reading) => {
+      if (done) return;
+      if (onHold) onHold(reading);
+      logLine(`[HOLD] ${GaugeHold.LABELS[reading.mode]} ${reading.text} ${reading.unit}`);
+    });
+    reader.on('poll-timeout', (request) => {
+      if (!done && onPollTimeout) onPollTimeout(request);
+    });
+    if (trigger && reader.poller) trigger.on('poll', onTrigger);
+    reader.on('value', (reading) => {
+      if (done) return;
+      const { value, text, unit } = reading;
+      collectedValues.push([value, text]);
+      if (onValue) onValue(reading);
+      logLine(`[VALUE] ${value} ${unit}`);
+      if (count && collectedValues.length >= count) {
+        logLine(`[DONE] Collected ${collectedValues.length} value(s). Exiting.`);
+        finish();
+      }
     });
     if (timeout > 0) {
       timer = setTimeout(() => {
         if (!done) {
           logLine(`[TIMEOUT] Timeout reached after ${timeout} seconds.`);
-          done = true;
-          port.close(() => resolve(collectedValues));
+          finish();
         }
       }, timeout * 1000);
     }
+    reader.open().catch(finish);
+  });
+}
+
+// Serial ports with their USB details: [{ path, vendorId, productId, serialNumber, manufacturer, ... }]
+function listPorts() {
+  return SerialPort.list();
+}
+
+// Whether a port matches the given USB vendor id, product id and serial number (any left out match anything)
+function portMatches(port, { vendorId, productId, serialNumber } = {}) {
+  const same = (actual, wanted) => !wanted || (actual !== undefined && String(actual).toLowerCase() === String(wanted).toLowerCase());
+  return same(port.vendorId, vendorId) && same(port.productId, productId) && same(port.serialNumber, serialNumber);
+}
+
+// Listen on a port for probeTime ms; resolves true if it sends gauge frames
+function probePort(path, { profile, probeTime = 2000 } = {}) {
+  return new Promise((resolve) => {
+    const reader = new GaugeReader({ portPath: path, profile, logFunc: () => {} });
+    let settled = false;
+    let timer = null;
+    const done = (found) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      reader.close().then(() => resolve(found));
+    };
+    reader.once('value', () => done(true));
+    reader.on('error', () => done(false));
+    reader.open().then(() => {
+      timer = setTimeout(() => done(false), probeTime);
+    }, () => done(false));
+  });
+}
+
+// Find the port a gauge is on. Ports are narrowed down by USB ids first; if that leaves exactly
+// one and probe is false it is taken as is, otherwise every candidate is probed for gauge frames.
+// Resolves to the port (as listed by listPorts) or null.
+async function findGaugePort({ profile, vendorId, productId, serialNumber, probe = true, probeTime = 2000, logFunc = defaultLogLine } = {}) {
+  const candidates = (await listPorts()).filter(p => portMatches(p, { vendorId, productId, serialNumber }));
+  if (candidates.length === 0) return null;
+  if (candidates.length === 1 && !probe) return candidates[0];
+  logFunc(`[STATUS] Probing ${candidates.length} port(s) for gauge data: ${candidates.map(p => p.path).join(', ')}`);
+  const results = await Promise.all(candidates.map(p => probePort(p.path, { profile, probeTime })));
+  const found = candidates.filter((p, i) => results[i]);
+  if (found.length > 1) {
+    logFunc(`[INFO] Gauge data on ${found.map(p => p.path).join(', ')}; using ${found[0].path} (pick one with --vid/--pid/--serial-number)`);
+  }
+  return found[0] || null;
+}
+
+// Table of ports for --list
+function formatPortList(ports) {
+  if (ports.length === 0) return 'No serial ports found';
+  const rows = [['PATH', 'VID:PID', 'SERIAL', 'MANUFACTURER']].concat(ports.map(p => [
+    p.path,
+    p.vendorId ? `${p.vendorId}:${p.productId || '?'}` : '-',
+    p.serialNumber || '-',
+    p.manufacturer || '-',
+  ]));
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => r[i].length)));
+  return rows.map(r => r.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+// One-line summary of a GaugeStatistics result
+function formatStatistics({ count, min, max, mean, stdDev, range }, unit, decimals = 3) {
+  if (count === 0) return 'no readings';
+  const f = v => v.toFixed(decimals);
+  return `n=${count} min=${f(min)} max=${f(max)} mean=${f(mean)} sd=${stdDev.toFixed(decimals + 1)} range=${f(range)} ${unit}`;
+}
+
+module.exports = {
+  getGaugeValues,
+  GaugeReader,
+  parseGaugeData,
+  loadProfiles,
+  loadCalibration,
+  createValueWriter,
+  formatStatistics,
+  listPorts,
+  portMatches,
+  probePort,
+  findGaugePort,
+  formatPortList,
+  FORMATS,
+};
+
+// Resolve once everything written to a file stream has been flushed
+function endStream(stream) {
+  return new Promise(resolve => {
+    if (!stream || stream === process.stdout) {
+      resolve();
+      return;
+    }
+    stream.end(resolve);
   });
 }
 
 // CLI entry point
 if (require.main === module) {
-  const { port, count: valueCount, timeout } = parseArgs();
-  if (!port) {
-    console.error('Usage: node serial-gauge-log.js <serial-port> [--count N] [--timeout SECONDS]');
+  const args = parseArgs();
+  const { port, count: valueCount, timeout, profilesFile, simulate, record, replay, speed, output, append, quiet, stats, reconnect, retries } = args;
+  const { list, probeTime, vendorId, productId, serialNumber, serve, listen, host, history } = args;
+  const { mqtt: mqttUrl, mqttTopic, mqttQos, mqttRetain, gaugeId, calibration: calibrationFile } = args;
+  const { filter, filterSize, filterAlpha, stable, stableTime, decimals: displayDecimals, hold, pollInterval, pollTimeout } = args;
+  let profile = args.profile || undefined;
+  const format = args.format || (output ? formatForFile(output) : null);
+  // Giving USB ids without a path means "find the port with these ids"
+  const selectors = vendorId || productId || serialNumber ? { vendorId, productId, serialNumber } : null;
+  const auto = !port && (args.auto || !!selectors);
+  if (list) {
+    listPorts()
+      .then(ports => {
+        console.log(formatPortList(ports));
+        process.exit(0);
+      })
+      .catch(err => {
+        console.error('[ERROR] Could not list serial ports: ' + err.message);
+        process.exit(1);
+      });
+    return;
+  }
+  if (!port && !auto && !simulate && !replay) {
+    console.error('Usage: node serial-gauge-log.js <serial-port> [--count N] [--timeout SECONDS] [--profile NAME] [--profiles FILE.json]');
+    console.error('                                [--simulate [MOTION]] [--record FILE.jsonl] [--replay FILE.jsonl [--speed N|max]]');
+    console.error('                                [--format csv|jsonl|json|plain] [--output FILE [--append]] [--quiet] [--stats]');
+    console.error('                                [--no-reconnect | --retries N]');
+    console.error('                                [--mqtt URL [--mqtt-topic TOPIC] [--mqtt-qos 0|1|2] [--mqtt-retain] [--gauge-id ID]]');
+    console.error('                                [--calibration FILE.json]');
+    console.error('                                [--filter average|median|exponential [--filter-size N] [--filter-alpha A]] [--stable TOLERANCE [--stable-time SECONDS]]');
+    console.error('                                [--unit mm|in|um|thou] [--decimals N] [--hold max|min|peak-to-peak]');
+    console.error('                                [--poll COMMAND [--poll-interval SECONDS] [--poll-timeout SECONDS]]');
+    console.error('       node serial-gauge-log.js --auto [--vid HEX] [--pid HEX] [--serial-number SN] [--probe-time SECONDS] [options]');
+    console.error('       node serial-gauge-log.js --list');
+    console.error('       node serial-gauge-log.js serve <serial-port>|--auto|--simulate [MOTION] [--listen PORT] [--host ADDR] [--history N] [options]');
+    console.error('Profiles: ' + GaugeProfiles.list().map(p => p.id).join(', '));
+    console.error('Simulator motions: ' + GaugeSimulator.MOTIONS.join(', '));
+    process.exit(1);
+  }
+  if (profilesFile) {
+    try {
+      loadProfiles(profilesFile);
+    } catch (err) {
+      console.error('[ERROR] Could not load profiles from ' + profilesFile + ': ' + err.message);
+      process.exit(1);
+    }
+  }
+  // Log lines go to stderr while stdout carries formatted readings; --quiet drops [BIN]/[RAW]
+  const logToStderr = format && !output;
+  function logLine(msg) {
+    if (quiet && /^\[(BIN|RAW)\]/.test(msg)) return;
+    const line = `[${new Date().toLocaleTimeString()}] ${msg}`;
+    if (logToStderr) console.error(line);
+    else console.log(line);
+  }
+  let source;
+  let recorder;
+  let recordStream;
+  let outStream;
+  let writer;
+  let mqtt;
+  let calibration = null;
+  const statistics = stats ? new GaugeStatistics() : null;
+  let displayUnit = null;
+  let unit = 'mm';
+  let decimals = null; // of the latest reading, for the statistics
+  let poll = null; // { command, interval, timeout } in ms, from --poll or the profile
+  try {
+    if (args.unit) displayUnit = GaugeUnits.unit(args.unit);
+    if (displayDecimals !== null && !(displayDecimals >= 0 && displayDecimals <= 10)) throw new Error('--decimals must be a whole number from 0 to 10');
+    if (hold) new GaugeHold({ mode: hold }); // throws on an unknown mode
+    if (args.poll !== null) {
+      poll = { command: args.poll, interval: pollInterval * 1000, timeout: pollTimeout * 1000 };
+      new GaugePoller({ ...poll, write: () => {} }); // throws on a bad command, interval or timeout
+    }
+    if (format && !FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    if (format === 'json' && append) throw new Error('--append cannot be used with --format json');
+    if (calibrationFile) {
+      try {
+        calibration = loadCalibration(calibrationFile);
+      } catch (err) {
+        throw new Error(`Could not load the calibration from ${calibrationFile}: ${err.message}`);
+      }
+      logLine(`[STATUS] Correcting readings with ${calibrationFile} (${calibration.method}, ${calibration.points.length} point(s)${calibration.calibrated ? ', calibrated ' + calibration.calibrated : ''})`);
+      const warning = GaugeCalibration.dueWarning(calibration);
+      if (warning) logLine(`[WARNING] ${warning}`);
+    }
+    if (format) {
+      const existing = output && append && fs.existsSync(output) && fs.statSync(output).size > 0;
+      outStream = output ? fs.createWriteStream(output, { flags: append ? 'a' : 'w' }) : process.stdout;
+      writer = createValueWriter(format, outStream, { header: !existing, uncorrected: !!calibration });
+    }
+    // A profile for a gauge that only answers a command is polled unless --poll is given
+    if (!poll && !replay && profile && GaugeProfiles.get(profile).poll) poll = { ...GaugePoller.DEFAULTS, ...GaugeProfiles.get(profile).poll };
+    if (poll && replay) throw new Error('--poll cannot be used with --replay');
+    if (replay) {
+      // Replays use the profile they were recorded with unless one is given
+      const capture = GaugeCapture.parse(fs.readFileSync(replay, 'utf8'));
+      profile = profile || capture.header.profile || undefined;
+      source = new GaugeCapture.Player(capture, { speed });
+      logLine(`[STATUS] Replaying ${capture.chunks.length} chunk(s) from ${replay} at ${isFinite(speed) ? speed + 'x' : 'max'} speed`);
+    } else if (simulate) {
+      // With a poll command the simulated gauge only answers it
+      source = new GaugeSimulator({ profile, motion: simulate, poll: poll ? GaugePoller.parseCommand(poll.command) : null });
+    }
+    if (poll) {
+      if (poll.interval === 0 && !process.stdin.isTTY) throw new Error('--poll-interval 0 polls only on a key press, which needs a terminal');
+      logLine(`[STATUS] Polling with ${GaugePoller.describeCommand(GaugePoller.parseCommand(poll.command))}` +
+        (poll.interval === 0 ? ' on Enter, Space or p' : ` every ${poll.interval / 1000} s${process.stdin.isTTY ? ' and on Enter, Space or p' : ''}`));
+    }
+    if (record) {
+      recordStream = fs.createWriteStream(record, { flags: 'a' });
+      recorder = new GaugeCapture.Recorder({ profile: profile || GaugeProfiles.DEFAULT_PROFILE, onLine: line => recordStream.write(line) });
+      logLine(`[STATUS] Recording raw chunks to ${record}`);
+    }
+    if (mqttUrl) {
+      // The gauge id names the topic: --gauge-id, else the adapter's serial number or the port name
+      const gauge = gaugeId || serialNumber || basename(port || (simulate || replay ? SIMULATED_PORT_PATH : 'gauge'));
+      mqtt = new GaugeMqttPublisher(mqttUrl, { gauge, topic: mqttTopic, qos: mqttQos, retain: mqttRetain, logFunc: logLine }).connect();
+      // Already logged; keep logging readings, just stop publishing them
+      mqtt.on('error', () => {
+        mqtt = null;
+      });
+    }
+  } catch (err) {
+    console.error('[ERROR] ' + err.message);
     process.exit(1);
   }
-  getGaugeValues({ portPath: port, count: valueCount, timeout })
-    .then(values => {
-      console.log(`[RESULT]`, JSON.stringify(values));
-      process.exit(0);
+  if (output) logLine(`[STATUS] Writing ${format} to ${output}${append ? ' (append)' : ''}`);
+  // zeroed: the reading less the bridge's zero when serving
+  function onValue(reading, zeroed = reading.value) {
+    if (writer) writer.write(reading);
+    if (statistics) statistics.add(reading.value);
+    if (mqtt) mqtt.publishReading({ ...reading, zeroed });
+    unit = reading.unit;
+    decimals = (reading.text.split('.')[1] || '').length;
+  }
+  function onGap(gap) {
+    if (writer) writer.gap(gap);
+    if (mqtt) mqtt.publishStatus('disconnected', gap.timestamp);
+  }
+  // Each unanswered poll is a gap in the output
+  function onPollTimeout(request) {
+    if (writer) writer.gap({ timestamp: new Date().toISOString(), reason: `no answer to poll ${request.id}` });
+  }
+  // Enter, Space or p polls the gauge now; raw mode means Ctrl+C has to be passed on by hand
+  const trigger = new EventEmitter();
+  if (poll && process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on('data', (key) => {
+      const text = key.toString();
+      if (text === '\u0003') process.kill(process.pid, 'SIGINT');
+      else if (['\r', '\n', ' ', 'p'].includes(text)) trigger.emit('poll');
+    });
+  }
+  // With selectors the port is taken by its USB ids; otherwise every port is probed for gauge data
+  function findPort(probe) {
+    return findGaugePort({ profile, ...selectors, probe, probeTime: probeTime * 1000, logFunc: logLine })
+      .then(found => found && found.path);
+  }
+  const portReady = auto && !simulate && !replay
+    ? findPort(!selectors).then(path => {
+      if (!path) {
+        throw new Error(selectors
+          ? 'No serial port matches the given --vid/--pid/--serial-number (see --list)'
+          : 'No gauge found on any serial port (see --list)');
+      }
+      logLine(`[STATUS] Found gauge on ${path}`);
+      return path;
     })
+    : Promise.resolve(port);
+  const readerOptions = {
+    profile,
+    source,
+    recorder,
+    logFunc: logLine,
+    reconnect: reconnect && { retries },
+    calibration,
+    filter: filter && { type: filter, size: filterSize, alpha: filterAlpha },
+    stability: stable !== null ? { tolerance: stable, time: stableTime * 1000 } : undefined,
+    unit: displayUnit,
+    decimals: displayDecimals,
+    hold,
+    poll: poll || false,
+    // The adapter may come back under another path after being unplugged
+    findPort: selectors ? () => findPort(false) : undefined,
+  };
+  // Flush the output and print the statistics, however the run ended; values are only printed without --format
+  async function finishRun(values) {
+    if (writer) writer.end();
+    if (statistics) {
+      const places = decimals !== null ? decimals : (profile ? GaugeProfiles.get(profile) : GaugeProfiles.get()).decimals;
+      logLine(`[STATS] ${formatStatistics(statistics.get(), unit, places)}`);
+    }
+    await Promise.all([endStream(outStream), endStream(recordStream), mqtt && mqtt.close()]);
+    if (!format && values) console.log(`[RESULT]`, JSON.stringify(values));
+    process.exit(0);
+  }
+  // Own the port and share the readings over HTTP/WebSocket until interrupted
+  async function serveReadings(portPath) {
+    const reader = new GaugeReader({ portPath, ...readerOptions });
+    const bridge = new GaugeBridge(reader, { historySize: history, logFunc: logLine });
+    reader.on('value', (reading) => {
+      onValue(reading, bridge.latest.value);
+      logLine(`[VALUE] ${reading.value} ${reading.unit}`);
+    });
+    reader.on('stable', (reading) => logLine(`[STABLE] ${reading.value} ${reading.unit}`));
+    reader.on('unstable', () => logLine('[UNSTABLE] Reading moving again'));
+    reader.on('hold', (reading) => logLine(`[HOLD] ${GaugeHold.LABELS[reading.mode]} ${reading.text} ${reading.unit}`));
+    reader.on('poll-timeout', onPollTimeout);
+    trigger.on('poll', () => {
+      if (reader.port && reader.poller) reader.poll();
+    });
+    reader.on('disconnect', () => onGap({ timestamp: new Date().toISOString() }));
+    reader.on('error', () => {}); // already logged; the reader closes if it cannot carry on
+    const address = await bridge.listen(listen, host);
+    logLine(`[STATUS] Serving readings on http://${host}:${address.port} (/latest, /history, /zero; WebSocket /stream)`);
+    let stopping = false;
+    const stop = async () => {
+      if (stopping) return;
+      stopping = true;
+      await reader.close();
+      await bridge.close();
+      await finishRun();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    reader.on('close', stop);
+    await reader.open();
+  }
+  // Ctrl+C or a kill ends an open-ended run the way --count or --timeout would, so the output is closed off
+  const interrupted = new AbortController();
+  if (!serve) {
+    process.once('SIGINT', () => interrupted.abort());
+    process.once('SIGTERM', () => interrupted.abort());
+  }
+  portReady.then(portPath => serve ? serveReadings(portPath) : getGaugeValues({
+    portPath,
+    count: valueCount,
+    timeout,
+    signal: interrupted.signal,
+    onValue,
+    onDisconnect: onGap,
+    onPollTimeout,
+    trigger,
+    ...readerOptions,
+  }).then(finishRun))
     .catch(err => {
-      console.error('[ERROR]', err);
+      // Interrupted before the port was open
+      if (interrupted.signal.aborted) return finishRun();
+      console.error('[ERROR] ' + err.message);
       process.exit(1);
     });
 }
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { EventEmitter, once } = require('events');
+const GaugeBridge = require('../gauge-bridge.js');
+
+// What the bridge needs of a GaugeReader: its events, profile and port
+function fakeReader() {
+  const reader = new EventEmitter();
+  reader.profile = { id: 'mm-0.001' };
+  reader.port = { isOpen: true };
+  reader.reading = (value, extra = {}) => reader.emit('value', { timestamp: new Date().toISOString(), value, text: value.toFixed(3), unit: 'mm', ...extra });
+  return reader;
+}
+
+async function start(t, options) {
+  const reader = fakeReader();
+  const bridge = new GaugeBridge(reader, options);
+  const { port } = await bridge.listen(0, '127.0.0.1');
+  t.after(() => bridge.close());
+  const url = path => `http://127.0.0.1:${port}${path}`;
+  const request = async (method, path) => {
+    const res = await fetch(url(path), { method });
+    return { status: res.status, body: await res.json(), cors: res.headers.get('access-control-allow-origin') };
+  };
+  return { reader, bridge, port, request };
+}
+
+// A bare WebSocket client: messages() gives the JSON messages received so far
+function connect(port, path = '/stream') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      host: '127.0.0.1',
+      path,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version': '13' },
+    });
+    req.on('response', res => reject(new Error(`HTTP ${res.statusCode}`)));
+    req.on('error', reject);
+    req.on('upgrade', (res, socket, head) => {
+      const received = [];
+      const waiting = [];
+      let buffer = Buffer.alloc(0);
+      const receive = (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        // Server frames are unmasked and these messages stay under 64 KiB
+        for (;;) {
+          if (buffer.length < 2) break;
+          const extended = (buffer[1] & 0x7f) === 126;
+          const start = extended ? 4 : 2;
+          if (buffer.length < start) break;
+          const length = extended ? buffer.readUInt16BE(2) : buffer[1] & 0x7f;
+          if (buffer.length < start + length) break;
+          const opcode = buffer[0] & 0x0f;
+          const payload = buffer.subarray(start, start + length);
+          buffer = buffer.subarray(start + length);
+          received.push(opcode === 0x1 ? JSON.parse(payload) : { opcode, payload: Buffer.from(payload) });
+          waiting.splice(0).forEach(fn => fn());
+        }
+      };
+      socket.on('data', receive);
+      const client = {
+        accept: res.headers['sec-websocket-accept'],
+        received,
+        // The next message matching type, waiting for it if needed
+        async next(type) {
+          for (;;) {
+            const i = received.findIndex(m => m.type === type || m.opcode === type);
+            if (i >= 0) return received.splice(i, 1)[0];
+            await new Promise(r => waiting.push(r));
+          }
+        },
+        send(opcode, payload) {
+          const mask = Buffer.from([1, 2, 3, 4]);
+          const masked = Buffer.from(payload).map((b, i) => b ^ mask[i % 4]);
+          socket.write(Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | masked.length]), mask, masked]));
+        },
+        sendJSON: message => client.send(0x1, Buffer.from(JSON.stringify(message))),
+        socket,
+      };
+      receive(head);
+      resolve(client);
+    });
+    req.end();
+  });
+}
+
+test('GET /latest and /history, before and after readings', async (t) => {
+  const { reader, request } = await start(t, { historySize: 2 });
+  assert.deepEqual(await request('GET', '/latest'), { status: 404, body: { error: 'No reading yet', connected: true }, cors: '*' });
+  [1, 2, 3].forEach(v => reader.reading(v));
+  const latest = await request('GET', '/latest');
+  assert.equal(latest.body.value, 3);
+  assert.equal(latest.body.text, '3.000');
+  assert.equal(latest.body.connected, true);
+  assert.deepEqual((await request('GET', '/history')).body.map(r => r.value), [2, 3]);
+  assert.deepEqual((await request('GET', '/history?count=1')).body.map(r => r.value), [3]);
+  assert.equal((await request('GET', '/nowhere')).status, 404);
+});
+
+test('CORS preflight', async (t) => {
+  const { port } = await start(t);
+  const res = await fetch(`http://127.0.0.1:${port}/zero`, { method: 'OPTIONS' });
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('access-control-allow-origin'), '*');
+  assert.equal(res.headers.get('access-control-allow-methods'), 'GET, POST, DELETE');
+});
+
+test('zeroing over HTTP', async (t) => {
+  const { reader, request } = await start(t);
+  assert.deepEqual((await request('POST', '/zero')).body, { error: 'No reading to zero at yet' });
+  reader.reading(1.25);
+  assert.deepEqual(await request('POST', '/zero'), { status: 200, body: { zeroOffset: 1.25 }, cors: '*' });
+  reader.reading(1.5);
+  const latest = (await request('GET', '/latest')).body;
+  assert.equal(latest.value, 0.25);
+  assert.equal(latest.raw, 1.5);
+  assert.equal(latest.zeroOffset, 1.25);
+  assert.deepEqual((await request('DELETE', '/zero')).body, { zeroOffset: 0 });
+});
+
+test('a zero is cleared when the gauge switches unit', async (t) => {
+  const { reader, bridge } = await start(t);
+  reader.reading(1);
+  bridge.zero();
+  reader.reading(0.04, { unit: 'in', text: '0.0400' });
+  assert.equal(bridge.zeroOffset, 0);
+  assert.equal(bridge.latest.value, 0.04);
+});
+
+test('the WebSocket stream: hello, readings, status, raw chunks and stable readings', async (t) => {
+  const { reader, port } = await start(t);
+  reader.reading(2);
+  const client = await connect(port, '/stream?raw=1');
+  assert.equal(client.accept, 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  const hello = await client.next('hello');
+  assert.deepEqual([hello.profile, hello.connected, hello.latest.value], ['mm-0.001', true, 2]);
+  reader.emit('raw', Buffer.from([0x2d, 0x00]));
+  assert.equal((await client.next('raw')).hex, '2d00');
+  reader.reading(2.5, { uncorrected: 2.49 });
+  const reading = await client.next('reading');
+  assert.deepEqual([reading.value, reading.uncorrected], [2.5, 2.49]);
+  reader.emit('disconnect');
+  assert.equal((await client.next('status')).connected, false);
+  reader.emit('reconnect');
+  assert.equal((await client.next('status')).connected, true);
+  reader.emit('stable', { timestamp: new Date().toISOString(), value: 2.5, text: '2.500', unit: 'mm', since: 'then' });
+  assert.deepEqual((await client.next('stable')).since, 'then');
+  client.socket.destroy();
+});
+
+test('WebSocket commands, ping and close', async (t) => {
+  const { reader, bridge, port } = await start(t);
+  const plain = await connect(port);
+  reader.emit('raw', Buffer.from([0x31]));
+  reader.reading(4);
+  plain.sendJSON({ type: 'zero' });
+  assert.equal((await plain.next('zero')).zeroOffset, 4);
+  assert.equal(bridge.zeroOffset, 4);
+  plain.sendJSON({ type: 'jump' });
+  assert.equal((await plain.next('error')).message, 'Unknown command: jump');
+  plain.send(0x9, Buffer.from('hi'));
+  assert.equal((await plain.next(0xa)).payload.toString(), 'hi');
+  assert.ok(!plain.received.some(m => m.type === 'raw'), 'raw chunks only go to ?raw=1 clients');
+  plain.send(0x8, Buffer.from([0x03, 0xe8]));
+  await plain.next(0x8);
+  assert.equal(bridge.clients.size, 0);
+});
+
+test('upgrades other than /stream are refused', async (t) => {
+  const { port } = await start(t);
+  await assert.rejects(connect(port, '/other'), /socket hang up|ECONNRESET|HTTP 400/);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeCalibration = require('../gauge-calibration.js');
+
+const TABLE = {
+  gauge: 'bore-1',
+  unit: 'mm',
+  method: 'piecewise',
+  points: [
+    { nominal: 10, reading: 10.011 },
+    { nominal: 0, reading: 0 },
+    { nominal: 5, reading: 5.004 },
+  ],
+  calibrated: '2026-03-02',
+  due: '2027-03-02',
+};
+
+test('normalize sorts the points and works out the fit and the largest error', () => {
+  const table = GaugeCalibration.normalize(JSON.stringify(TABLE));
+  assert.deepEqual(table.points.map(p => p.nominal), [0, 5, 10]);
+  assert.equal(table.maxError, 0.011);
+  assert.equal(table.gauge, 'bore-1');
+  assert.ok(Math.abs(table.slope - 10 / 10.011) < 1e-3);
+  const defaults = GaugeCalibration.normalize({ points: [{ nominal: '1', reading: '1.002' }] });
+  assert.deepEqual([defaults.unit, defaults.method, defaults.gauge, defaults.calibrated, defaults.due], ['mm', 'piecewise', null, null, null]);
+  assert.deepEqual(defaults.points, [{ nominal: 1, reading: 1.002 }]);
+});
+
+test('normalize rejects tables it cannot use', () => {
+  assert.throws(() => GaugeCalibration.normalize({ points: [] }), /needs a list of points/);
+  assert.throws(() => GaugeCalibration.normalize({ method: 'spline', points: [{ nominal: 0, reading: 0 }] }), /Unknown calibration method: spline/);
+  assert.throws(() => GaugeCalibration.normalize({ points: [{ nominal: 0, reading: null }] }), /point 1 needs a numeric nominal and reading/);
+  assert.throws(() => GaugeCalibration.normalize({ points: [{ nominal: 0, reading: 'x' }] }), /point 1/);
+  assert.throws(() => GaugeCalibration.normalize({ points: [{ nominal: 0, reading: 1 }, { nominal: 2, reading: 1 }] }), /Two calibration points read 1 mm/);
+  assert.throws(() => GaugeCalibration.normalize({ points: [{ nominal: 0, reading: 0 }], due: 'soon' }), /due date is not a date: soon/);
+});
+
+test('piecewise correction interpolates and keeps the end errors beyond the range', () => {
+  const table = GaugeCalibration.normalize(TABLE);
+  assert.equal(GaugeCalibration.correct(table, 10.011), 10);
+  assert.equal(GaugeCalibration.correct(table, 5.004), 5);
+  assert.equal(GaugeCalibration.correct(table, 2.502), 2.5);
+  assert.equal(GaugeCalibration.correct(table, 12.011), 12);
+  assert.equal(GaugeCalibration.correct(table, -1), -1);
+  // A reading in another unit is corrected in that unit
+  assert.equal(GaugeCalibration.correct(table, 10.011 / 25.4, 'in'), 0.393701);
+});
+
+test('linear correction fits a line; one point is a plain offset', () => {
+  const line = GaugeCalibration.normalize({ method: 'linear', points: [{ nominal: 0, reading: 0 }, { nominal: 10, reading: 10.01 }] });
+  assert.equal(GaugeCalibration.correct(line, 10.01), 10);
+  assert.equal(GaugeCalibration.correct(line, 20.02), 20);
+  const offset = GaugeCalibration.normalize({ method: 'linear', points: [{ nominal: 5, reading: 5.003 }] });
+  assert.equal(GaugeCalibration.correct(offset, 1), 0.997);
+});
+
+test('due status and warnings', () => {
+  const table = GaugeCalibration.normalize(TABLE);
+  const on = date => new Date(date + 'T00:00:00Z');
+  assert.deepEqual(GaugeCalibration.dueStatus(table, on('2026-06-01')), { due: '2027-03-02', days: 274, state: 'ok' });
+  assert.equal(GaugeCalibration.dueWarning(table, on('2026-06-01')), null);
+  assert.equal(GaugeCalibration.dueStatus(table, on('2027-02-20')).state, 'due-soon');
+  assert.equal(GaugeCalibration.dueWarning(table, on('2027-02-20')), 'Calibration of bore-1 is due in 10 day(s) (2027-03-02)');
+  assert.equal(GaugeCalibration.dueWarning(table, on('2027-03-02')), 'Calibration of bore-1 is due today (2027-03-02)');
+  assert.equal(GaugeCalibration.dueStatus(table, on('2027-03-04')).state, 'overdue');
+  assert.equal(GaugeCalibration.dueWarning({ ...table, gauge: null }, on('2027-03-04')), 'Calibration is overdue (was due 2027-03-02)');
+  const undated = GaugeCalibration.normalize({ points: [{ nominal: 0, reading: 0 }] });
+  assert.deepEqual(GaugeCalibration.dueStatus(undated), { due: null, days: null, state: 'unknown' });
+  assert.equal(GaugeCalibration.dueWarning(undated), null);
+});
+
+test('a session records a table block by block', () => {
+  assert.throws(() => new GaugeCalibration.Session({ nominals: [] }), /at least one nominal size/);
+  assert.throws(() => new GaugeCalibration.Session({ nominals: [0, '5'] }), /must be numbers \(got 5\)/);
+  const session = new GaugeCalibration.Session({ nominals: [0, 5, 10], unit: 'mm' });
+  assert.throws(() => session.table(), /not finished/);
+  session.capture(0.0001);
+  session.capture(5.9);
+  session.back();
+  assert.equal(session.current, 5);
+  session.capture(5.004);
+  session.capture(10.011 + 1e-12);
+  assert.ok(session.complete);
+  assert.throws(() => session.capture(1), /Every calibration point has been measured/);
+  const table = session.table({ gauge: 'bore-1', method: 'linear', intervalDays: 30, now: new Date('2026-03-02T12:00:00Z') });
+  assert.deepEqual(table.points.map(p => p.reading), [0.0001, 5.004, 10.011]);
+  assert.deepEqual([table.method, table.calibrated, table.due], ['linear', '2026-03-02', '2026-04-01']);
+  assert.equal(session.table({ intervalDays: 0 }).due, null);
+});
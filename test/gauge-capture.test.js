@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const GaugeCapture = require('../gauge-capture.js');
+const { getGaugeValues } = require('../serial-gauge-log.js');
+
+const CAPTURE = [
+  '{"type":"header","format":"gauge-capture","version":1,"profile":"mm-0.001","started":"2025-05-17T13:06:25.976Z"}',
+  '{"t":0,"hex":"2d"}',
+  '{"t":3.127,"hex":"003030393839310d12"}',
+  '{"t":4,"event":"disconnect"}',
+  '{"t":250,"hex":"00303031303030"}',
+  '{"t":251,"hex":"0d12"}',
+].join('\n');
+
+test('hex round trip', () => {
+  assert.equal(GaugeCapture.toHex([0x00, 0x2d, 0xff]), '002dff');
+  assert.deepEqual(Array.from(GaugeCapture.fromHex('00 2d\nff')), [0x00, 0x2d, 0xff]);
+});
+
+test('Recorder writes a header before the first chunk and notes events after it', () => {
+  const lines = [];
+  const recorder = new GaugeCapture.Recorder({ profile: { id: 'mm-0.01' }, onLine: line => lines.push(line) });
+  recorder.mark('disconnect'); // nothing recorded yet, so nothing to note
+  recorder.record(Buffer.from('-'));
+  recorder.record(Uint8Array.from([0x00, 0x31, 0x0d]));
+  recorder.mark('reconnect');
+  assert.equal(recorder.chunkCount, 2);
+  assert.equal(lines.length, 4);
+  assert.ok(lines.every(line => line.endsWith('\n')));
+  const [header, first, second, mark] = lines.map(line => JSON.parse(line));
+  assert.equal(header.type, 'header');
+  assert.equal(header.format, GaugeCapture.FORMAT);
+  assert.equal(header.profile, 'mm-0.01');
+  assert.equal(first.hex, '2d');
+  assert.equal(second.hex, '00310d');
+  assert.ok(second.t >= first.t);
+  assert.equal(mark.event, 'reconnect');
+  assert.equal(recorder.toJSONL(), lines.join(''));
+});
+
+test('parse skips events and continues appended sessions after the previous one', () => {
+  const { header, chunks } = GaugeCapture.parse(CAPTURE + '\n' + CAPTURE.replace('"version":1', '"version":1,"note":"second"') + '\n');
+  assert.equal(header.started, '2025-05-17T13:06:25.976Z');
+  assert.equal(header.note, undefined); // the first header wins
+  assert.deepEqual(chunks.map(c => c.t), [0, 3.127, 250, 251, 251, 254.127, 501, 502]);
+  assert.deepEqual(Array.from(chunks[0].bytes), [0x2d]);
+});
+
+test('parse rejects what is not a capture', () => {
+  assert.throws(() => GaugeCapture.parse('{"t":0,"hex":"2d"}'), /no header line/);
+  assert.throws(() => GaugeCapture.parse('{"type":"header","format":"other"}'), /Not a gauge-capture file/);
+  assert.throws(() => GaugeCapture.parse('{"type":"header","format":"gauge-capture","version":2}'), /newer than supported/);
+  assert.throws(() => GaugeCapture.parse('{"type":"header","format":"gauge-capture","version":1}\n{oops'), /Capture line 2 is not valid JSON/);
+});
+
+test('parse reads test-serial.js packet logs, keeping only the new bytes of each entry', () => {
+  const log = JSON.stringify([
+    { timestamp: '2025-05-17T13:06:25.000Z', hex: '2d' },
+    { timestamp: '2025-05-17T13:06:25.100Z', hex: '2d0030' },
+    { timestamp: '2025-05-17T13:06:25.200Z', hex: '2d0030' },
+    { timestamp: '2025-05-17T13:06:25.300Z', hex: '31' }, // buffer cleared with 'c'
+  ]);
+  const { header, chunks } = GaugeCapture.parse(log);
+  assert.equal(header.started, '2025-05-17T13:06:25.000Z');
+  assert.deepEqual(chunks.map(c => [c.t, GaugeCapture.toHex(c.bytes)]), [[0, '2d'], [100, '0030'], [300, '31']]);
+});
+
+test('Player replays every chunk in order and then ends', async () => {
+  const player = new GaugeCapture.Player(CAPTURE, { speed: Infinity });
+  const received = [];
+  await new Promise(resolve => player.start(chunk => received.push(GaugeCapture.toHex(chunk)), resolve));
+  assert.deepEqual(received, ['2d', '003030393839310d12', '00303031303030', '0d12']);
+  assert.equal(player.running, false);
+});
+
+test('Player at real speed keeps the timing', async () => {
+  const player = new GaugeCapture.Player(CAPTURE, { speed: 5 });
+  const started = Date.now();
+  await new Promise(resolve => player.start(() => {}, resolve));
+  assert.ok(Date.now() - started >= 45, 'the last chunk is due 251 ms in, at 5x speed');
+});
+
+test('a replay is read back through getGaugeValues like a gauge', async () => {
+  const values = await getGaugeValues({ source: new GaugeCapture.Player(CAPTURE, { speed: Infinity }), logFunc: () => {} });
+  assert.deepEqual(values, [[-9.891, '-9.891'], [1, '1.000']]);
+});
+
+test('--speed takes only a number above 0 or max', () => {
+  const cli = path.join(__dirname, '..', 'serial-gauge-log.js');
+  for (const speed of ['0', '-2', 'fast', '']) {
+    const run = spawnSync(process.execPath, [cli, '--replay', 'missing.jsonl', '--speed', speed], { encoding: 'utf8', timeout: 10000 });
+    assert.equal(run.status, 1, speed);
+    assert.match(run.stderr, /--speed must be a number above 0 or max/);
+  }
+});
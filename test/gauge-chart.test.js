@@ -0,0 +1,109 @@
+// The chart is drawn on a canvas; here a stand-in canvas takes the drawing calls, so the view,
+// the per-pixel reduction and picking can be checked in Node.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeChart = require('../gauge-chart.js');
+
+function fakeCanvas(width = 560, height = 234) {
+  const listeners = {};
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : name === 'measureText' ? () => ({ width: 40 }) : () => {}),
+  });
+  return {
+    width,
+    height,
+    listeners,
+    getContext: () => ctx,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+    addEventListener: (type, fn) => (listeners[type] = fn),
+  };
+}
+
+// A plot area 490 px wide (60 px left margin, 10 px right) over a 4.9 s window: 10 ms per pixel
+function chart(options) {
+  const c = new GaugeChart(fakeCanvas(), { windowMs: 4900, ...options });
+  c.pause();
+  c.viewEnd = 10000;
+  return c;
+}
+
+test('readings arriving out of order are dropped, and null is a gap', () => {
+  const c = chart();
+  c.add(1, 1000, 0.1);
+  c.add(1, 900, 0.2);
+  c.add(1, 1100, null);
+  const series = c.series.get(1);
+  assert.deepEqual(series.times, [1000, 1100]);
+  assert.ok(Number.isNaN(series.values[1]));
+  assert.equal(series.label, '1');
+  assert.equal(series.color, GaugeChart.COLORS[0]);
+  assert.equal(c.setSeries(2).color, GaugeChart.COLORS[1]);
+});
+
+test('reduce keeps the min and max of each pixel column and breaks the line at gaps', () => {
+  const c = chart();
+  c.setSeries(1, { offset: 1 });
+  [[5100, 1.5], [5102, 0.5], [5105, 2], [5108, 1.25], [5200, null], [5300, 1]].forEach(([t, v]) => c.add(1, t, v));
+  const { start, end } = c.view();
+  const columns = c.reduce(c.series.get(1), start, end, c.plotArea());
+  assert.equal(columns.length, 3);
+  assert.deepEqual({ ...columns[0], x: Math.floor(columns[0].x) }, { x: 60, first: 0.5, min: -0.5, max: 1, last: 0.25 });
+  assert.deepEqual(columns[1].gap, true);
+  assert.equal(columns[2].first, 0);
+});
+
+test('a window of 0 shows every reading', () => {
+  const c = chart({ windowMs: 0 });
+  c.add(1, 2000, 0);
+  c.add(2, 500, 0);
+  assert.deepEqual(c.view(), { start: 500, end: 10000 });
+});
+
+test('zooming keeps the anchor in place and stops at the smallest window', () => {
+  const c = chart();
+  c.zoom(0.5, 7550); // the middle of the view
+  assert.deepEqual(c.view(), { start: 6325, end: 8775 });
+  c.zoom(0.0001, 7550);
+  assert.equal(c.windowMs, 100);
+});
+
+test('panning back pauses; panning into the present resumes the live view', () => {
+  const changes = [];
+  const c = new GaugeChart(fakeCanvas(), { windowMs: 1000, onViewChange: () => changes.push(c.paused) });
+  c.pan(-5000);
+  assert.equal(c.paused, true);
+  assert.ok(Math.abs(c.view().end - (Date.now() - 5000)) < 1000);
+  c.pan(60000);
+  assert.equal(c.paused, false);
+  assert.equal(c.viewEnd, null);
+  assert.deepEqual(changes.slice(-1), [false]);
+});
+
+test('clicking picks the nearest reading within reach, in the display unit', () => {
+  const inspected = [];
+  const c = chart({ onInspect: point => inspected.push(point) });
+  c.setSeries(1, { label: 'Gauge 1', offset: 0.5 });
+  c.add(1, 7000, 0.5);
+  c.add(1, 7500, 1.5);
+  c.setUnits({ scale: 1 / 25.4, unit: 'in', decimals: 4 });
+  c.draw();
+  const plot = c.plotArea();
+  const { x, y } = plot;
+  const yOf = v => y + plot.h - ((v - c.range.lo) / (c.range.hi - c.range.lo)) * plot.h;
+  const picked = c.inspect(x + 190 + 2, yOf(0) - 3);
+  assert.equal(picked.time, 7000);
+  assert.equal(picked.display, 0);
+  assert.equal(picked.unit, 'in');
+  assert.equal(c.inspect(x + 100, y), null);
+  assert.deepEqual(inspected.map(p => p && p.label), ['Gauge 1', null]);
+});
+
+test('the mouse wheel zooms around the pointer', () => {
+  const canvas = fakeCanvas();
+  const c = new GaugeChart(canvas, { windowMs: 4900 });
+  c.pause();
+  c.viewEnd = 10000;
+  canvas.listeners.wheel({ deltaY: 1, clientX: 60 + 490, preventDefault() {} });
+  assert.equal(c.windowMs, 4900 * 1.25);
+  assert.equal(c.view().end, 10000);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeDatums = require('../gauge-datums.js');
+
+test('zero and preset move the selected datum', () => {
+  const datums = new GaugeDatums();
+  assert.equal(datums.active, 'Datum 1');
+  assert.equal(datums.offset, 0);
+  assert.equal(datums.zero(1.5), 1.5);
+  assert.equal(datums.display(2), 0.5);
+  assert.equal(datums.preset(10.3, 12.7), -2.4, 'the floating point noise of raw - preset is dropped');
+  assert.equal(datums.display(0), 2.4);
+  assert.throws(() => datums.preset(null), /No reading to preset at/);
+  assert.throws(() => datums.preset(1, '2'), /Preset value must be a number/);
+});
+
+test('named datums are added, selected and removed', () => {
+  const datums = new GaugeDatums();
+  datums.zero(1);
+  assert.deepEqual(datums.add(' Fixture B '), { name: 'Fixture B', offset: 0 });
+  assert.equal(datums.offset, 0);
+  datums.zero(3);
+  datums.select('Datum 1');
+  assert.equal(datums.offset, 1);
+  assert.throws(() => datums.add('Fixture B'), /There is already a datum called Fixture B/);
+  assert.throws(() => datums.add(' '), /A datum needs a name/);
+  assert.throws(() => datums.select('Nope'), /Unknown datum: Nope/);
+  datums.remove();
+  assert.equal(datums.active, 'Fixture B');
+  assert.throws(() => datums.remove(), /The last datum cannot be removed/);
+  assert.ok(datums.undo());
+  assert.deepEqual(datums.datums.map(d => d.name), ['Datum 1', 'Fixture B']);
+});
+
+test('incremental readings zero on top of the datum and leave it alone', () => {
+  const datums = new GaugeDatums();
+  datums.zero(2);
+  assert.equal(datums.setMode('incremental'), 'incremental');
+  assert.equal(datums.offset, 2, 'starts from the datum');
+  datums.zero(5);
+  assert.equal(datums.display(6), 1);
+  assert.equal(datums.toggleMode(), 'absolute');
+  assert.equal(datums.display(6), 4);
+  assert.throws(() => datums.setMode('relative'), /Unknown datum mode: relative/);
+});
+
+test('undo takes back zeros and presets, the last 20 of them', () => {
+  const datums = new GaugeDatums();
+  assert.equal(datums.canUndo, false);
+  assert.equal(datums.undo(), false);
+  for (let i = 1; i <= 25; i++) datums.zero(i);
+  let undone = 0;
+  while (datums.undo()) undone++;
+  assert.equal(undone, 20);
+  assert.equal(datums.offset, 5, 'the oldest zeros past the limit are forgotten');
+  assert.equal(datums.canUndo, false);
+});
+
+test('scale and reset clear the undo history', () => {
+  const datums = new GaugeDatums({ datums: [{ name: 'A', offset: 0.5 }], mode: 'incremental', incremental: 0.25 });
+  datums.zero(1);
+  datums.scale(25.4);
+  assert.equal(datums.offset, 25.4);
+  datums.setMode('absolute');
+  assert.equal(datums.offset, 12.7);
+  assert.equal(datums.canUndo, false);
+  datums.zero(3);
+  datums.reset();
+  assert.deepEqual([datums.offset, datums.incremental, datums.canUndo], [0, null, false]);
+});
+
+test('toJSON round-trips, and bad saved datums are refused', () => {
+  const datums = new GaugeDatums();
+  datums.zero(1);
+  datums.add('B', 2);
+  datums.setMode('incremental');
+  const copy = new GaugeDatums(JSON.parse(JSON.stringify(datums)));
+  assert.deepEqual(copy.toJSON(), datums.toJSON());
+  assert.equal(copy.offset, 2);
+  assert.equal(new GaugeDatums({ datums: [{ name: 'A' }], active: 'gone' }).active, 'A');
+  assert.throws(() => new GaugeDatums({ datums: [] }), /at least one datum/);
+  assert.throws(() => new GaugeDatums({ datums: [{ name: 'A', offset: 'x' }] }), /Datum A needs a numeric offset/);
+  assert.throws(() => new GaugeDatums({ mode: 'relative' }), /Unknown datum mode/);
+});
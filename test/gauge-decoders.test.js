@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeDecoders = require('../gauge-decoders.js');
+
+const ascii = text => Buffer.from(text, 'latin1');
+
+test('the built-in decoders read ASCII and binary packets', () => {
+  assert.deepEqual(GaugeDecoders.list().map(d => d.id), ['ascii-decimal', 'ascii-digits', 'ascii-text', 'int16', 'int24']);
+  assert.deepEqual(GaugeDecoders.create('ascii-decimal').feed(ascii(' -12.345\r\n')), [{ value: -12.345, raw: '-12.345', method: 'Decimal format', confidence: 0.9 }]);
+  assert.deepEqual(GaugeDecoders.create('ascii-decimal').feed(ascii('12.34')), []);
+  assert.equal(GaugeDecoders.create('ascii-digits').feed(ascii('012345'))[0].value, 12.345);
+  assert.equal(GaugeDecoders.create('ascii-text').feed(ascii('X: 1.5 mm'))[0].value, 1.5);
+  const int16 = GaugeDecoders.create('int16').feed([0x04, 0xd2]);
+  assert.ok(int16.some(f => f.method === '16-bit BE ×0.01' && f.value === 12.34 && f.confidence === GaugeDecoders.CONFIDENCE.HIGH));
+  assert.ok(int16.every(f => f.value <= 100), 'readings out of a dial gauge range are left out');
+  assert.deepEqual(GaugeDecoders.create('int24').feed([0x01]), []);
+});
+
+test('register checks decoders; create gives each its own state', () => {
+  assert.throws(() => GaugeDecoders.register(null), /Decoder must be an object/);
+  assert.throws(() => GaugeDecoders.register({ feed() {} }), /Decoder needs a string id/);
+  assert.throws(() => GaugeDecoders.register({ id: 'x' }), /Decoder x needs a feed\(bytes\) or create\(\) function/);
+  assert.throws(() => GaugeDecoders.get('nope'), /Unknown decoder: nope \(expected ascii-decimal/);
+  assert.throws(() => GaugeDecoders.create({ id: 'bad', create: () => ({}) }), /Decoder bad: create\(\) must return an object with feed\(bytes\)/);
+
+  // Counts the packets it has seen since the last reset
+  const counter = { id: 'counter', create: () => { let n = 0; return { feed: () => [{ value: ++n, raw: n, method: 'count', confidence: 0.5 }], reset: () => { n = 0; } }; } };
+  const a = GaugeDecoders.create(counter);
+  const b = GaugeDecoders.create(counter);
+  a.feed([]);
+  assert.equal(a.feed([])[0].value, 2);
+  assert.equal(b.feed([])[0].value, 1);
+  a.reset();
+  assert.equal(a.feed([])[0].value, 1);
+  assert.equal(a.label, 'counter', 'the label defaults to the id');
+  assert.deepEqual(GaugeDecoders.create({ id: 'silent', feed: () => undefined }).feed([]), []);
+});
+
+test('a selector ranks candidates, ties going to the decoder listed first', () => {
+  const errors = [];
+  const broken = { id: 'broken', feed() { throw new Error('bad packet'); } };
+  const selector = new GaugeDecoders.Selector(['ascii-text', 'ascii-decimal', broken], { onError: (d, err) => errors.push(`${d.id}: ${err.message}`) });
+  const candidates = selector.candidates(ascii('1.250'));
+  assert.deepEqual(candidates.map(c => [c.decoder.id, c.value]), [['ascii-decimal', 1.25], ['ascii-text', 1.25]]);
+  assert.deepEqual(errors, ['broken: bad packet']);
+  const tie = new GaugeDecoders.Selector(['ascii-digits', 'ascii-decimal']);
+  assert.equal(tie.candidates(ascii('001250'))[0].decoder.id, 'ascii-digits');
+  assert.deepEqual(selector.status(), { enabled: ['ascii-text', 'ascii-decimal', 'broken'], locked: null });
+});
+
+test('a selector locks onto a decoder that keeps winning and drops it after misses', () => {
+  const events = [];
+  const selector = new GaugeDecoders.Selector(['ascii-decimal', 'ascii-text'], {
+    lockPackets: 2,
+    unlockMisses: 2,
+    onLock: d => events.push(`lock ${d.id}`),
+    onUnlock: (d, misses) => events.push(`unlock ${d.id} ${misses}`),
+  });
+  const [decimal, text] = selector.decoders;
+  selector.track(decimal);
+  selector.track(text);
+  selector.track(null);
+  selector.track(decimal);
+  assert.equal(selector.locked, null, 'the streak was broken');
+  selector.track(decimal);
+  assert.equal(selector.locked, decimal);
+  assert.deepEqual(selector.candidates(ascii('x5')), [], 'only the locked decoder is fed');
+  selector.track(null);
+  selector.track(decimal);
+  selector.track(null);
+  assert.equal(selector.locked, decimal, 'a reading in between starts the misses over');
+  selector.track(null);
+  assert.equal(selector.locked, null);
+  assert.deepEqual(events, ['lock ascii-decimal', 'unlock ascii-decimal 2']);
+});
+
+test('enable, disable and unlock', () => {
+  const unlocked = [];
+  const selector = new GaugeDecoders.Selector(['int16'], { lockPackets: 1, onUnlock: (d, misses) => unlocked.push([d.id, misses]) });
+  assert.equal(selector.enable('ascii-decimal'), 'ascii-decimal');
+  assert.equal(selector.enable('ascii-decimal'), 'ascii-decimal');
+  assert.deepEqual(selector.status().enabled, ['int16', 'ascii-decimal']);
+  selector.track(selector.decoders[1]);
+  assert.equal(selector.status().locked, 'ascii-decimal');
+  assert.equal(selector.disable('nope'), false);
+  assert.ok(selector.disable('ascii-decimal'));
+  assert.deepEqual(selector.status(), { enabled: ['int16'], locked: null });
+  assert.deepEqual(unlocked, [['ascii-decimal', 0]]);
+  selector.unlock();
+  assert.equal(unlocked.length, 1, 'nothing was locked');
+  assert.throws(() => selector.enable('nope'), /Unknown decoder: nope/);
+});
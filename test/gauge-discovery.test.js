@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeDiscovery = require('../gauge-discovery.js');
+
+const bytes = text => Array.from(Buffer.from(text, 'latin1'));
+// The frame a gauge sends for text, as splitFrames gives it
+const frame = text => GaugeDiscovery.splitFrames(bytes(`\r${text}\r`), [0x0d])[0];
+
+test('serial candidates start with the most common settings', () => {
+  assert.deepEqual(GaugeDiscovery.SERIAL_CANDIDATES[0], { baudRate: 9600, dataBits: 8, parity: 'none', stopBits: 1, flowControl: 'none' });
+  assert.equal(GaugeDiscovery.SERIAL_CANDIDATES.length, 24);
+  assert.equal(GaugeDiscovery.describeSerial({ baudRate: 4800, dataBits: 7, parity: 'even', stopBits: 1 }), '4800 baud 7E1');
+});
+
+test('splitFrames leaves out the partial first frame and frames without digits', () => {
+  const frames = GaugeDiscovery.splitFrames(bytes('45\r\n-00123\r\n+00124\r\n'), [0x0a, 0x0d]);
+  assert.deepEqual(frames, [{ text: '-00123', digits: '00123', negative: true }, { text: '+00124', digits: '00124', negative: false }]);
+  assert.equal(GaugeDiscovery.splitFrames([0x0d, 0x31, 0x02, 0x0d], [0x0d])[0].text, '1\\x02');
+});
+
+test('scoreTraffic tells gauge frames from noise', () => {
+  const good = GaugeDiscovery.scoreTraffic(bytes('1.0\r\n+01.250\r\n+01.251\r\n-01.252\r\n'));
+  assert.equal(good.score, 1);
+  assert.ok(good.score >= GaugeDiscovery.GOOD_SCORE);
+  assert.deepEqual([good.terminators, good.digits, good.frames, good.reason], [[0x0a, 0x0d], 5, 3, '3 frames, 100% with 5 digits']);
+  assert.equal(GaugeDiscovery.scoreTraffic([]).reason, 'no data');
+  assert.equal(GaugeDiscovery.scoreTraffic(bytes('1234')).reason, 'too little data');
+  const noise = GaugeDiscovery.scoreTraffic([0xf3, 0x81, 0x9e, 0xff, 0x31, 0x80, 0xc2, 0xaa, 0x07]);
+  assert.equal(noise.reason, 'no line endings');
+  assert.ok(noise.score < 0.1);
+  assert.equal(GaugeDiscovery.scoreTraffic(bytes('ab\r\ncd\r\nef')).reason, 'no digits between line endings');
+  assert.ok(GaugeDiscovery.scoreTraffic(bytes('+1.2\r+01.25\r+1.252\r')).score < good.score, 'unsteady digit counts score lower');
+});
+
+test('propose finds the decimals, unit and sign that match the positions', () => {
+  const proposal = GaugeDiscovery.propose({
+    samples: [{ position: 0, frame: frame('+00.512') }, { position: 5, frame: frame('+05.512') }, { position: -1, frame: frame('-00.488') }],
+    serial: { baudRate: 4800 },
+    terminators: [0x0d],
+  });
+  const { profile } = proposal;
+  assert.deepEqual([profile.digits, profile.decimals, profile.unit, profile.sign], [5, 3, 'mm', 'minus-prefix']);
+  assert.equal(profile.id, 'discovered-5d-3-mm');
+  assert.equal(profile.label, 'Discovered: 5 digits, 3 decimals, mm, 4800 baud 8N1');
+  assert.deepEqual(profile.terminators, [0x0d]);
+  assert.equal(proposal.offset, 0.512, "the gauge's own zero");
+  assert.deepEqual([proposal.maxError, proposal.samples, proposal.warnings], [0, 3, []]);
+});
+
+test('propose works out a gauge in inches from positions in mm, and says what it assumed', () => {
+  const proposal = GaugeDiscovery.propose({
+    samples: [{ position: 0, frame: frame('0.00000') }, { position: 12.7, frame: frame('0.50000') }, { position: 25.4, frame: frame('1.0000') }],
+    id: 'my-gauge',
+    label: 'My gauge',
+  });
+  assert.deepEqual([proposal.profile.id, proposal.profile.label, proposal.profile.decimals, proposal.profile.unit], ['my-gauge', 'My gauge', 5, 'in']);
+  assert.deepEqual(proposal.warnings, [
+    '1 position(s) left out: frames with other than 6 digits',
+    'No frame had a minus sign, so negative readings are assumed to start with one',
+  ]);
+  assert.equal(proposal.samples, 2);
+});
+
+test('propose needs two different positions that fit', () => {
+  assert.throws(() => GaugeDiscovery.propose(), /Capture at least two positions/);
+  assert.throws(() => GaugeDiscovery.propose({ samples: [{ position: 0, frame: frame('1.000') }] }), /^Error: Capture at least two positions$/);
+  assert.throws(() => GaugeDiscovery.propose({ samples: [{ position: 2, frame: frame('1.000') }, { position: 2, frame: frame('1.001') }] }), /^Error: Capture at least two different positions$/);
+  assert.throws(() => GaugeDiscovery.propose({ samples: [{ position: 0, frame: frame('1.000') }, { position: 5, frame: frame('1.500') }, { position: 10, frame: frame('9.000') }] }),
+    /^Error: No digit count, decimals and unit match the positions \(closest is \d decimals in (mm|in), off by up to [\d.]+ mm\)$/);
+  assert.throws(() => GaugeDiscovery.propose({ samples: [{ position: 0, frame: frame('1.000') }, { position: 1, frame: frame('2.000') }], unit: 'furlong' }), /Unknown unit: furlong/);
+});
+
+test('a tolerance can be given in the positions unit', () => {
+  const samples = [{ position: 0, frame: frame('0.000') }, { position: 1, frame: frame('1.002') }, { position: 2, frame: frame('2.000') }];
+  assert.equal(GaugeDiscovery.propose({ samples, tolerance: 0.002 }).profile.decimals, 3);
+  assert.throws(() => GaugeDiscovery.propose({ samples, tolerance: 0.001 }), /No digit count/);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeFilter = require('../gauge-filter.js');
+
+const run = (filter, values) => values.map(v => filter.add(v));
+
+test('the filters', () => {
+  assert.deepEqual(run(new GaugeFilter.Filter(), [1, 5]), [1, 5]);
+  assert.deepEqual(run(new GaugeFilter.Filter({ type: 'average', size: 3 }), [3, 6, 9, 12]), [3, 4.5, 6, 9]);
+  // A single spike doesn't get through a median; an even count averages the middle two
+  assert.deepEqual(run(new GaugeFilter.Filter({ type: 'median', size: 3 }), [1, 2, 100, 3, 4]), [1, 1.5, 2, 3, 4]);
+  assert.deepEqual(run(new GaugeFilter.Filter({ type: 'exponential', alpha: 0.5 }), [0, 8, 8]), [0, 4, 6]);
+});
+
+test('reset and configure start the filter over', () => {
+  const filter = new GaugeFilter.Filter({ type: 'average', size: 2 });
+  run(filter, [10, 20]);
+  filter.reset();
+  assert.equal(filter.add(4), 4);
+  filter.configure({ size: 3 });
+  assert.deepEqual(filter.options, { type: 'average', size: 3, alpha: 0.3 }, 'options not given are kept');
+  assert.deepEqual(run(filter, [1, 2, 3, 4]), [1, 1.5, 2, 3]);
+  assert.equal(filter.type, 'average');
+});
+
+test('bad filter options are rejected', () => {
+  assert.throws(() => new GaugeFilter.Filter({ type: 'kalman' }), /Unknown filter: kalman/);
+  assert.throws(() => new GaugeFilter.Filter({ size: 0 }), /whole number of readings \(got 0\)/);
+  assert.throws(() => new GaugeFilter.Filter({ size: 2.5 }), /whole number/);
+  assert.throws(() => new GaugeFilter.Filter({ alpha: 0 }), /alpha must be between 0 and 1/);
+  assert.throws(() => new GaugeFilter.Filter({ alpha: 1.5 }), /alpha/);
+});
+
+test('readings settle once they stay in the band for the time', () => {
+  const stability = new GaugeFilter.Stability({ tolerance: 0.01, time: 500 });
+  assert.equal(stability.add(1, 0), null);
+  assert.equal(stability.add(1.004, 200), null);
+  assert.equal(stability.add(1.01, 500), 'stable', 'exactly the tolerance apart is within the band');
+  assert.deepEqual(stability.stable, { value: (1 + 1.004 + 1.01) / 3, since: 0, spread: 1.01 - 1 });
+  assert.equal(stability.add(1.005, 700), null, 'still stable');
+  assert.equal(stability.add(1.1, 800), 'unstable');
+  assert.equal(stability.stable, null);
+  assert.equal(stability.add(1.1, 1200), null);
+  assert.equal(stability.add(1.105, 1300), 'stable', 'settled since the jump at 800');
+  assert.equal(stability.stable.since, 800);
+});
+
+test('a slow drift is never stable', () => {
+  const stability = new GaugeFilter.Stability({ tolerance: 0.01, time: 300 });
+  const events = [];
+  for (let i = 0; i < 50; i++) events.push(stability.add(i * 0.006, i * 100));
+  assert.ok(events.every(e => e === null));
+  assert.equal(stability.stable, null);
+});
+
+test('zero time is stable at once; reset starts over', () => {
+  const stability = new GaugeFilter.Stability({ tolerance: 0, time: 0 });
+  assert.equal(stability.add(2, 10), 'stable');
+  assert.equal(stability.add(2.001, 20), null, 'a jump settles at once too');
+  assert.deepEqual(stability.stable, { value: 2.001, since: 20, spread: 0 });
+  stability.reset();
+  assert.equal(stability.stable, null);
+  stability.configure({ time: 100 });
+  assert.deepEqual(stability.options, { tolerance: 0, time: 100 });
+  assert.equal(stability.add(2, 0), null);
+  assert.equal(stability.add(2, 100), 'stable');
+});
+
+test('bad stability options are rejected', () => {
+  assert.throws(() => new GaugeFilter.Stability({ tolerance: -1 }), /tolerance must not be negative \(got -1\)/);
+  assert.throws(() => new GaugeFilter.Stability({ time: Infinity }), /time must not be negative/);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeHold = require('../gauge-hold.js');
+
+test('max and min hold report when the held value changes', () => {
+  const hold = new GaugeHold({ mode: 'max' });
+  assert.equal(hold.value(), null, 'nothing held yet');
+  assert.equal(hold.add(1), true);
+  assert.equal(hold.add(0.5), false);
+  assert.equal(hold.add(2), true);
+  assert.equal(hold.value(), 2);
+  assert.equal(hold.value(0.5), 1.5, 'relative to a zero');
+  assert.equal(hold.label, 'MAX');
+  hold.setMode('min');
+  assert.equal(hold.value(), 0.5, 'the extremes were tracked all along');
+  assert.equal(hold.add(0.7), false);
+  assert.equal(hold.add(0.2), true);
+});
+
+test('peak-to-peak holds the spread, whatever the zero', () => {
+  const hold = new GaugeHold({ mode: 'peak-to-peak' });
+  [1, 3, 2].forEach(v => hold.add(v));
+  assert.equal(hold.value(), 2);
+  assert.equal(hold.value(10), 2);
+  assert.equal(hold.label, 'P-P');
+});
+
+test('off holds nothing, bad readings are ignored and reset starts over', () => {
+  const hold = new GaugeHold();
+  assert.equal(hold.mode, 'off');
+  assert.equal(hold.label, '');
+  assert.equal(hold.add(1), false);
+  assert.equal(hold.value(), null);
+  assert.equal(hold.add(NaN), false);
+  assert.equal(hold.add('2'), false);
+  assert.deepEqual([hold.count, hold.min, hold.max], [1, 1, 1]);
+  hold.reset();
+  assert.deepEqual([hold.count, hold.min, hold.max], [0, null, null]);
+  assert.throws(() => hold.setMode('peak'), /Unknown hold mode: peak \(expected off, max, min, peak-to-peak\)/);
+  assert.deepEqual(GaugeHold.MODES, ['off', 'max', 'min', 'peak-to-peak']);
+});
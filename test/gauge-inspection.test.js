@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeInspection = require('../gauge-inspection.js');
+
+const PLAN = {
+  name: 'Bracket 1234 rev B',
+  features: [
+    { name: 'Bore depth', nominal: 12.5, plus: 0.05, minus: 0.03, warning: 0.2, instructions: 'Probe the bore floor' },
+    { name: 'Flange height', nominal: 4, plus: 0.1, gauge: 2 },
+    { name: 'Overall length' },
+  ],
+};
+
+test('parsePlan fills in defaults and converts sizes to mm', () => {
+  const plan = GaugeInspection.parsePlan(JSON.stringify(PLAN));
+  assert.equal(plan.name, 'Bracket 1234 rev B');
+  assert.equal(plan.unit, 'mm');
+  const [bore, flange, length] = plan.features;
+  assert.deepEqual(bore.tolerance, { nominal: 12.5, plus: 0.05, minus: 0.03, warning: 0.2, lower: 12.47, upper: 12.55 });
+  assert.equal(bore.instructions, 'Probe the bore floor');
+  assert.equal(bore.gauge, null);
+  assert.equal(flange.tolerance.minus, 0.1, 'minus defaults to plus');
+  assert.equal(flange.gauge, 2);
+  assert.equal(length.tolerance, null, 'no plus: a reference measurement');
+  assert.equal(length.nominal, 0);
+
+  const inches = GaugeInspection.parsePlan({ unit: 'in', features: [{ nominal: 1, plus: 0.001 }] });
+  assert.equal(inches.name, 'Inspection');
+  assert.equal(inches.features[0].name, 'Feature 1');
+  assert.equal(inches.features[0].nominal, 25.4);
+  assert.ok(Math.abs(inches.features[0].tolerance.plus - 0.0254) < 1e-12);
+});
+
+test('parsePlan rejects plans it cannot run', () => {
+  assert.throws(() => GaugeInspection.parsePlan({ features: [] }), /needs a list of features/);
+  assert.throws(() => GaugeInspection.parsePlan('null'), /needs a list of features/);
+  assert.throws(() => GaugeInspection.parsePlan({ unit: 'furlong', features: [{}] }), /furlong/);
+  assert.throws(() => GaugeInspection.parsePlan({ features: [{ name: 'Bore', nominal: '12', plus: 0.1 }] }), /^Error: Bore: Tolerance values must be numbers/);
+  assert.throws(() => GaugeInspection.parsePlan({ features: [{ name: 'Bore', gauge: 0 }] }), /Bore: gauge must be a gauge number/);
+  assert.throws(() => GaugeInspection.parsePlan({ features: [{ name: 'Bore', gauge: 1.5 }] }), /gauge must be a gauge number/);
+});
+
+test('nextPartId counts up, keeping leading zeros', () => {
+  assert.equal(GaugeInspection.nextPartId('P001'), 'P002');
+  assert.equal(GaugeInspection.nextPartId('P099'), 'P100');
+  assert.equal(GaugeInspection.nextPartId('9'), '10');
+  assert.equal(GaugeInspection.nextPartId('Part A'), 'Part A-2');
+});
+
+test('a run steps through the features, classifying each reading', () => {
+  const run = new GaugeInspection.Run(GaugeInspection.parsePlan(PLAN), { partId: 'P001' });
+  assert.equal(run.current.name, 'Bore depth');
+  // The zeroing noise is rounded away first
+  assert.equal(run.capture(12.5 + 0.05 + 1e-12, 't1').result, 'warn');
+  assert.deepEqual(run.part.results[0], { value: 12.55, result: 'warn', timestamp: 't1' });
+  run.back();
+  assert.equal(run.capture(12.5).result, 'pass');
+  // Exactly on the limit of a feature without a warning band passes
+  assert.equal(run.part.results[1], null);
+  assert.equal(run.capture(3.9).result, 'pass');
+  run.back();
+  assert.equal(run.capture(3.85).result, 'fail');
+  assert.equal(run.capture(100).result, null, 'reference measurements are not checked');
+  assert.ok(run.complete);
+  assert.equal(run.current, null);
+  assert.throws(() => run.capture(1), /Every feature of this part has been measured/);
+  assert.equal(run.partResult(), 'fail');
+});
+
+test('part results and moving on to the next part', () => {
+  const run = new GaugeInspection.Run(GaugeInspection.parsePlan(PLAN));
+  run.capture(12.5);
+  assert.equal(run.partResult(), 'incomplete');
+  run.skip();
+  run.capture(1);
+  assert.equal(run.partResult(), 'incomplete', 'a skipped feature leaves the part incomplete');
+  run.skip(); // nothing left to skip
+  run.nextPart();
+  assert.equal(run.part.id, '2');
+  run.nextPart('P7');
+  assert.deepEqual(run.parts.map(p => p.id), ['1', 'P7'], 'an untouched part is replaced');
+  run.capture(12.5);
+  run.capture(4.1);
+  run.capture(0);
+  assert.equal(run.partResult(), 'pass');
+  [1, 2, 3].forEach(() => run.back());
+  run.capture(12.545); // measured again, in the warning band
+  assert.equal(run.partResult(), 'warn');
+});
+
+test('resultsCSV has a row per measured part, quoting names', () => {
+  const plan = GaugeInspection.parsePlan({ features: [{ name: 'Bore, "A"', plus: 0.1 }, { name: 'Length' }] });
+  const run = new GaugeInspection.Run(plan, { partId: 'P001' });
+  run.capture(0.05);
+  run.skip();
+  run.nextPart();
+  run.capture(0.2);
+  run.nextPart();
+  assert.deepEqual(GaugeInspection.resultsCSV(plan, run.parts).trim().split('\n').map(line => line.replace(/,\d{4}-[^,]+Z,/, ',T,')), [
+    'part,started,"Bore, ""A"" (mm)","Bore, ""A"" result",Length (mm),Length result,part result',
+    'P001,T,0.05,pass,,skipped,incomplete',
+    'P002,T,0.2,fail,,,fail',
+  ]);
+});
+
+test('resultsCSV writes the values in the unit asked for', () => {
+  const plan = GaugeInspection.parsePlan({ unit: 'in', features: [{ name: 'Depth', nominal: 0.5, plus: 0.001 }] });
+  const run = new GaugeInspection.Run(plan);
+  run.capture(12.7254);
+  const [header, row] = GaugeInspection.resultsCSV(plan, run.parts, 'in').trim().split('\n');
+  assert.equal(header, 'part,started,Depth (in),Depth result,part result');
+  assert.match(row, /^1,[^,]+,0\.501,pass,pass$/);
+});
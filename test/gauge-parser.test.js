@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeParser = require('../gauge-parser.js');
+
+test('a reading split over chunks, with the minus sign in a chunk of its own', () => {
+  const parser = new GaugeParser();
+  assert.deepEqual(parser.feed('-'), []);
+  assert.deepEqual(parser.feed('\u00000098'), []);
+  const [frame] = parser.feed('91\r\u0012');
+  assert.equal(frame.type, 'value');
+  assert.equal(frame.value, -9.891);
+  assert.equal(frame.text, '-9.891');
+  assert.equal(frame.unit, 'mm');
+  assert.equal(frame.negative, true);
+  assert.deepEqual(Array.from(frame.raw), [0x2d, 0x00, 0x30, 0x30, 0x39, 0x38, 0x39, 0x31, 0x0d]);
+});
+
+test('bare terminators give no frame, and the sign does not carry over', () => {
+  const parser = new GaugeParser();
+  const frames = parser.feed(Buffer.from('-\u0000001000\r\u0012\u0000001000\n'));
+  assert.deepEqual(frames.map(f => f.value), [-1, 1]);
+});
+
+test('frames with another digit count are ignored with a reason', () => {
+  const parser = new GaugeParser();
+  const ignored = [];
+  parser.on('ignored', frame => ignored.push(frame));
+  assert.deepEqual(parser.feed('12345\r'), [{ type: 'ignored', reason: 'unexpected length 5', digits: '12345', negative: false, raw: Uint8Array.from('12345\r', c => c.charCodeAt(0)) }]);
+  assert.equal(ignored.length, 1);
+});
+
+test('events: value, ignored and frame for both; off() stops them', () => {
+  const parser = new GaugeParser();
+  const seen = [];
+  const onFrame = frame => seen.push(`frame:${frame.type}`);
+  parser.on('value', frame => seen.push(`value:${frame.text}`)).on('frame', onFrame);
+  parser.feed([0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x0d, 0x31, 0x0d]);
+  assert.deepEqual(seen, ['value:123.456', 'frame:value', 'frame:ignored']);
+  parser.off('frame', onFrame);
+  parser.feed('000001\r');
+  assert.deepEqual(seen.slice(3), ['value:0.001']);
+});
+
+test('profile options: digits, decimals, unit, sign and terminators', () => {
+  const parser = new GaugeParser({ digits: 5, decimals: 4, unit: 'in', sign: 'none', terminators: [';'] });
+  const [frame] = parser.feed('-01234;');
+  assert.equal(frame.value, 0.1234);
+  assert.equal(frame.unit, 'in');
+  assert.equal(frame.negative, false);
+  assert.deepEqual(parser.feed('01234\r'), []); // \r isn't a terminator here
+});
+
+test('configure() and reset() drop a partial frame', () => {
+  const parser = new GaugeParser();
+  parser.feed('-0012');
+  parser.reset();
+  assert.deepEqual(parser.feed('000012\r').map(f => f.value), [0.012]);
+  parser.feed('0012');
+  parser.configure({ digits: 2, decimals: 0 });
+  assert.deepEqual(parser.feed('42\r').map(f => f.value), [42]);
+});
+
+test('formatDigits', () => {
+  assert.equal(GaugeParser.formatDigits('012345', 3), '12.345');
+  assert.equal(GaugeParser.formatDigits('000005', 3), '0.005');
+  assert.equal(GaugeParser.formatDigits('000000', 3), '0.000');
+  assert.equal(GaugeParser.formatDigits('000000', 0), '0');
+  assert.equal(GaugeParser.formatDigits('00120', 0, true), '-120');
+});
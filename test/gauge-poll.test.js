@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugePoller = require('../gauge-poll.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('commands are typed with escapes or given as bytes', () => {
+  assert.deepEqual(Array.from(GaugePoller.parseCommand('?\\r')), [0x3f, 0x0d]);
+  assert.deepEqual(Array.from(GaugePoller.parseCommand('PRINT\\r\\n')), [...Buffer.from('PRINT\r\n')]);
+  assert.deepEqual(Array.from(GaugePoller.parseCommand('\\x02R\\t\\\\')), [0x02, 0x52, 0x09, 0x5c]);
+  assert.deepEqual(Array.from(GaugePoller.parseCommand([0x05])), [0x05]);
+  assert.equal(GaugePoller.describeCommand(GaugePoller.parseCommand('?\\r\\x1b\\\\')), '?\\r\\x1b\\\\');
+  assert.throws(() => GaugePoller.parseCommand(''), /Poll command is empty/);
+  assert.throws(() => GaugePoller.parseCommand('µ€'), /Poll command must be ASCII/);
+  assert.throws(() => GaugePoller.parseCommand([256]), /Poll command must be text or bytes/);
+  assert.throws(() => GaugePoller.parseCommand(), /Poll command must be text or bytes/);
+});
+
+test('the constructor checks its options', () => {
+  const write = () => {};
+  assert.throws(() => new GaugePoller({ command: '?', interval: -1, write }), /Poll interval must be 0 or more ms \(got -1\)/);
+  assert.throws(() => new GaugePoller({ command: '?', timeout: 0, write }), /Poll timeout must be more than 0 ms \(got 0\)/);
+  assert.throws(() => new GaugePoller({ command: '?' }), /GaugePoller needs a write\(bytes\) function/);
+  assert.deepEqual(GaugePoller.DEFAULTS, { interval: 1000, timeout: 1000 });
+});
+
+test('a reading answers the poll waiting for it', async () => {
+  const written = [];
+  const poller = new GaugePoller({ command: '?\\r', interval: 0, timeout: 1000, write: bytes => written.push(Array.from(bytes)) });
+  assert.equal(poller.text, '?\\r');
+  assert.equal(poller.poll(), 1);
+  assert.equal(poller.poll(), null, 'only one poll waits at a time');
+  await sleep(0);
+  assert.deepEqual(written, [[0x3f, 0x0d]]);
+  const answer = poller.answer();
+  assert.equal(answer.id, 1);
+  assert.ok(answer.latency >= 0);
+  assert.equal(poller.answer(), null, 'a second reading is unsolicited');
+  assert.deepEqual([poller.stats.sent, poller.stats.answered, poller.stats.unsolicited], [1, 1, 1]);
+  assert.match(poller.summary(), /^1 poll\(s\), 1 answered \(mean \d+ ms\), 0 not answered, 1 unsolicited reading\(s\)$/);
+  poller.stop();
+});
+
+test('unanswered polls time out and the next one goes out', async () => {
+  const timeouts = [];
+  const poller = new GaugePoller({ command: 'PRINT\\r', interval: 0, timeout: 20, write: () => {}, onTimeout: request => timeouts.push(request) });
+  poller.poll();
+  await sleep(50);
+  assert.equal(timeouts.length, 1);
+  assert.deepEqual([timeouts[0].id, timeouts[0].timeout, timeouts[0].command], [1, 20, 'PRINT\\r']);
+  assert.ok(!isNaN(Date.parse(timeouts[0].sent)));
+  assert.equal(poller.answer(), null, 'a late answer is unsolicited');
+  assert.equal(poller.poll(), 2);
+  poller.stop();
+  await sleep(30);
+  assert.equal(timeouts.length, 1, 'stop drops the waiting poll');
+  assert.equal(poller.summary(), '2 poll(s), 0 answered, 1 not answered, 1 unsolicited reading(s)');
+});
+
+test('a command that cannot be written is reported and frees the poll', async () => {
+  const errors = [];
+  const poller = new GaugePoller({ command: '?', interval: 0, write: () => Promise.reject(new Error('port closed')), onError: (err, request) => errors.push([err.message, request]) });
+  poller.poll();
+  await sleep(0);
+  assert.deepEqual(errors, [['port closed', { id: 1, command: '?' }]]);
+  assert.equal(poller.pending, null);
+  assert.equal(poller.summary(), '1 poll(s), 0 answered, 0 not answered, 1 not sent');
+  poller.stop();
+});
+
+test('start polls now and then every interval', async () => {
+  let writes = 0;
+  const poller = new GaugePoller({ command: '?', interval: 15, timeout: 1000, write: () => { writes++; } }).start();
+  await sleep(0);
+  assert.equal(writes, 1);
+  poller.answer();
+  await sleep(25);
+  assert.ok(writes >= 2);
+  poller.stop();
+  const sent = poller.stats.sent;
+  await sleep(40);
+  assert.equal(poller.stats.sent, sent, 'stop ends the polling');
+});
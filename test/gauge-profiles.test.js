@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeProfiles = require('../gauge-profiles.js');
+
+test('the built-in profiles, with mm-0.001 as the default', () => {
+  assert.deepEqual(GaugeProfiles.list().map(p => p.id), ['mm-0.001', 'mm-0.01', 'in-0.0001']);
+  const profile = GaugeProfiles.get();
+  assert.equal(profile.id, GaugeProfiles.DEFAULT_PROFILE);
+  assert.equal(profile.digits, 6);
+  assert.equal(profile.decimals, 3);
+  assert.deepEqual(profile.terminators, [0x0d, 0x0a, 0x12]);
+  assert.deepEqual(profile.serial, GaugeProfiles.DEFAULT_SERIAL);
+  assert.equal(GaugeProfiles.get('in-0.0001').unit, 'in');
+});
+
+test('unknown ids are an error', () => {
+  assert.throws(() => GaugeProfiles.get('mm-0.5'), /Unknown gauge profile: mm-0.5/);
+});
+
+test('profile objects are filled in with defaults and not registered', () => {
+  const profile = GaugeProfiles.get({ id: 'bench', digits: 5, terminators: ['\r', 0x12], serial: { baudRate: 4800 } });
+  assert.equal(profile.label, 'bench');
+  assert.equal(profile.decimals, 3);
+  assert.equal(profile.unit, 'mm');
+  assert.equal(profile.sign, 'minus-prefix');
+  assert.deepEqual(profile.terminators, [0x0d, 0x12]);
+  assert.deepEqual(profile.serial, { ...GaugeProfiles.DEFAULT_SERIAL, baudRate: 4800 });
+  assert.throws(() => GaugeProfiles.get('bench'), /Unknown gauge profile/);
+});
+
+test('invalid profiles are rejected with the field at fault', () => {
+  const cases = [
+    [null, /must be an object/],
+    [{ digits: 6 }, /needs a string id/],
+    [{ id: 'a', digits: 0 }, /a: digits must be a positive integer/],
+    [{ id: 'a', digits: 6, decimals: -1 }, /decimals must be a non-negative integer/],
+    [{ id: 'a', digits: 6, decimals: 1.5 }, /decimals must be a non-negative integer/],
+    [{ id: 'a', digits: 6, unit: 'cm' }, /unit must be one of mm, in, um, thou/],
+    [{ id: 'a', digits: 6, sign: 'plus' }, /sign must be one of minus-prefix, none/],
+    [{ id: 'a', digits: 6, terminators: [] }, /terminators must be bytes/],
+    [{ id: 'a', digits: 6, terminators: [256] }, /terminators must be bytes/],
+    [{ id: 'a', digits: 6, poll: { interval: 500 } }, /poll needs a command/],
+  ];
+  cases.forEach(([profile, error]) => assert.throws(() => GaugeProfiles.register(profile), error));
+});
+
+test('loadJSON registers one profile or an array, replacing one with the same id', () => {
+  const [one] = GaugeProfiles.loadJSON('{ "id": "shop-1", "digits": 5, "decimals": 2 }');
+  assert.equal(GaugeProfiles.get('shop-1'), one);
+  const loaded = GaugeProfiles.loadJSON([{ id: 'shop-1', digits: 6 }, { id: 'shop-2', digits: 4, unit: 'thou', poll: { command: '?\r' } }]);
+  assert.deepEqual(loaded.map(p => p.id), ['shop-1', 'shop-2']);
+  assert.equal(GaugeProfiles.get('shop-1').digits, 6);
+  assert.deepEqual(GaugeProfiles.get('shop-2').poll, { command: '?\r' });
+  assert.throws(() => GaugeProfiles.loadJSON('not json'), SyntaxError);
+});
@@ -0,0 +1,107 @@
+// Unplugging is played by the mock port the way serialport reports it: closing with a
+// DisconnectedError (err.disconnected).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const GaugeSimulator = require('../gauge-simulator.js');
+const GaugeCapture = require('../gauge-capture.js');
+const { GaugeReader, getGaugeValues } = require('../serial-gauge-log.js');
+
+const quiet = () => {};
+
+function unplug(reader) {
+  reader.port._disconnected(new Error('Device not configured'));
+}
+
+function simulator() {
+  return new GaugeSimulator({ motion: 'constant', offset: 2.5, interval: 10 });
+}
+
+test('the reader reopens the port after a disconnect and carries on', async () => {
+  const recorder = new GaugeCapture.Recorder();
+  const reader = new GaugeReader({ portPath: '/dev/sim-unplug', source: simulator(), recorder, reconnect: { minDelay: 10 }, logFunc: quiet });
+  const events = [];
+  ['disconnect', 'reconnect', 'close'].forEach(type => reader.on(type, () => events.push(type)));
+  await reader.open();
+  await once(reader, 'value');
+  unplug(reader);
+  await once(reader, 'reconnect');
+  const [reading] = await once(reader, 'value');
+  assert.equal(reading.value, 2.5);
+  await reader.close();
+  assert.deepEqual(events, ['disconnect', 'reconnect', 'close']);
+  assert.ok(recorder.lines.some(line => JSON.parse(line).event === 'disconnect'));
+});
+
+test('findPort is asked for the gauge\'s path before each attempt', async () => {
+  const paths = [];
+  const reader = new GaugeReader({
+    portPath: '/dev/sim-moved-a',
+    source: simulator(),
+    reconnect: { minDelay: 10 },
+    findPort: async () => {
+      paths.push('/dev/sim-moved-b');
+      return '/dev/sim-moved-b';
+    },
+    logFunc: quiet,
+  });
+  await reader.open();
+  unplug(reader);
+  await once(reader, 'reconnect');
+  assert.equal(reader.portPath, '/dev/sim-moved-b');
+  assert.deepEqual(paths, ['/dev/sim-moved-b']);
+  await reader.close();
+});
+
+test('after the retries run out the reader reports an error and closes', async () => {
+  const lines = [];
+  const reader = new GaugeReader({ portPath: '/dev/sim-gone', source: simulator(), reconnect: { retries: 2, minDelay: 5, maxDelay: 10 }, logFunc: line => lines.push(line) });
+  await reader.open();
+  reader.source = null; // the device doesn't come back: the real port can't be opened
+  reader.findPort = async () => '/dev/no-such-gauge';
+  const failed = once(reader, 'error');
+  unplug(reader);
+  const [err] = await failed;
+  assert.match(err.message, /Could not reconnect to \/dev\/no-such-gauge after 2 attempt\(s\)/);
+  assert.equal(reader.closed, true);
+  assert.equal(lines.filter(line => line.startsWith('[INFO] Reconnect attempt')).length, 2);
+});
+
+test('without reconnect a disconnect ends the reader', async () => {
+  const reader = new GaugeReader({ portPath: '/dev/sim-once', source: simulator(), logFunc: quiet });
+  await reader.open();
+  const closed = once(reader, 'close');
+  unplug(reader);
+  await closed;
+  assert.equal(reader.closed, true);
+});
+
+test('getGaugeValues reports the gap and keeps collecting', async (t) => {
+  const createMockSerialPort = GaugeSimulator.createMockSerialPort;
+  const ports = [];
+  GaugeSimulator.createMockSerialPort = (...args) => {
+    const port = createMockSerialPort(...args);
+    ports.push(port);
+    return port;
+  };
+  t.after(() => {
+    GaugeSimulator.createMockSerialPort = createMockSerialPort;
+  });
+  const gaps = [];
+  const values = await getGaugeValues({
+    portPath: '/dev/sim-gap',
+    source: simulator(),
+    count: 4,
+    reconnect: { minDelay: 10 },
+    onValue: () => {
+      if (ports.length === 1 && !gaps.length) setImmediate(() => ports[0].isOpen && ports[0]._disconnected(new Error('Device not configured')));
+    },
+    onDisconnect: gap => gaps.push(gap),
+    logFunc: quiet,
+  });
+  assert.equal(values.length, 4);
+  assert.equal(ports.length, 2);
+  assert.equal(gaps.length, 1);
+  assert.equal(gaps[0].reason, 'disconnected');
+  assert.equal(gaps[0].error.disconnected, true);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeReadout = require('../gauge-readout.js');
+
+const TABLE = { unit: 'mm', points: [{ nominal: 0, reading: 0 }, { nominal: 10, reading: 10.01 }], due: '2000-01-01' };
+
+test('readings are corrected, counted and kept as the latest', () => {
+  const readout = new GaugeReadout({ unit: 'mm', calibration: TABLE });
+  assert.equal(readout.lastReading, null);
+  assert.equal(readout.add(10.01), 10);
+  assert.equal(readout.add(5.005), 5);
+  assert.equal(readout.lastReading, 5);
+  assert.deepEqual([readout.statistics.get().count, readout.statistics.get().max], [2, 10]);
+  assert.equal(readout.calibrationStatus().state, 'overdue');
+  assert.match(readout.calibrationWarning(), /overdue/);
+});
+
+test('without a calibration readings pass through', () => {
+  const readout = new GaugeReadout({ unit: 'in', statisticsWindowSize: 2 });
+  [1, 2, 3].forEach(v => readout.add(v));
+  assert.equal(readout.statistics.get().count, 2);
+  assert.equal(readout.correct(0.3937), 0.3937);
+  assert.equal(readout.calibrationStatus(), null);
+  assert.equal(readout.calibrationWarning(), null);
+});
+
+test('a calibration corrects readings in the gauge unit, and can be cleared', () => {
+  const readout = new GaugeReadout({ unit: 'in' });
+  assert.equal(readout.setCalibration(TABLE).method, 'piecewise');
+  assert.equal(readout.correct(10.01 / 25.4), 0.393701);
+  assert.equal(readout.setCalibration(null), null);
+  assert.equal(readout.correct(1), 1);
+  assert.throws(() => readout.setCalibration({ points: [] }), /needs a list of points/);
+});
+
+test('values are converted to the display unit and back', () => {
+  const readout = new GaugeReadout({ unit: 'mm', displayUnit: 'inch', displayDecimals: 3 });
+  assert.equal(readout.displayUnit, 'in');
+  assert.equal(readout.display(25.4), 1);
+  assert.equal(readout.display(null), null);
+  assert.equal(readout.display(1, 'thou'), 0.001);
+  assert.equal(readout.fromDisplay(0.5), 12.7);
+  assert.equal(readout.fromDisplay(100, 'um'), 0.1);
+  assert.equal(readout.format(12.7), '0.500');
+  readout.displayDecimals = null;
+  assert.equal(readout.setDisplayUnit('µm'), 'um');
+  assert.equal(readout.format(0.0123), '12.3');
+  assert.throws(() => readout.setDisplayUnit('furlong'), /Unknown unit/);
+});
+
+test('a new gauge unit starts the statistics over and gives the scale for kept lengths', () => {
+  const readout = new GaugeReadout({ unit: 'mm' });
+  readout.add(1);
+  assert.equal(readout.setGaugeUnit('inches'), 0.0393700787402);
+  assert.equal(readout.gaugeUnit, 'in');
+  assert.equal(readout.statistics.get().count, 0);
+  assert.equal(readout.format(1), '25.400', 'the display unit stays mm');
+});
+
+test('zero and preset act on the latest reading, in the display unit', () => {
+  const readout = new GaugeReadout({ unit: 'mm', displayUnit: 'in' });
+  assert.equal(readout.zero(), false, 'no reading yet');
+  assert.equal(readout.preset(1), false);
+  readout.add(12.7);
+  readout.add(13.7);
+  assert.ok(readout.zero());
+  assert.equal(readout.offset, 13.7);
+  assert.ok(readout.preset(0.5));
+  assert.equal(readout.offset, 1);
+  assert.deepEqual([readout.displayStatistics().min, readout.displayStatistics().unit], [0.46062992126, 'in']);
+  assert.equal(readout.selectDatum('Fixture B'), 'Fixture B');
+  assert.equal(readout.offset, 0);
+  assert.equal(readout.selectDatum('Datum 1'), 'Datum 1');
+  readout.setGaugeUnit('in');
+  assert.equal(readout.offset, 0.0393700787402, 'the zero is scaled with the unit');
+  assert.deepEqual(readout.displayStatistics(), { ...readout.statistics.get(), unit: 'in' });
+});
+
+test('the hold follows the corrected readings and starts over with a new correction', () => {
+  const readout = new GaugeReadout({ unit: 'mm', displayUnit: 'um', holdMode: 'max' });
+  assert.deepEqual(readout.displayHold(), { mode: 'max', value: null, max: null, min: null, unit: 'um' });
+  [1, 1.5, 1.25].forEach(v => readout.add(v));
+  readout.zero();
+  assert.equal(readout.held(), 0.25);
+  assert.deepEqual(readout.displayHold(), { mode: 'max', value: 250, max: 250, min: -250, unit: 'um' });
+  readout.resetHold();
+  assert.deepEqual([readout.hold.count, readout.held()], [1, 0], 'held again from the latest reading');
+  readout.setCalibration(TABLE);
+  assert.equal(readout.hold.count, 0);
+  readout.add(2);
+  readout.setGaugeUnit('in');
+  assert.equal(readout.hold.count, 0);
+});
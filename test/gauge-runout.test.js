@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeRunout = require('../gauge-runout.js');
+
+function close(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+// n readings over the revolutions of a shaft off-centre by e with its high point at phase degrees
+function trace(n, { revolutions = 1, mean = 1, e = 0.02, phase = 0, form = 0 } = {}) {
+  return Array.from({ length: n }, (_, i) => {
+    const angle = (2 * Math.PI * revolutions * i) / n;
+    return mean + e * Math.cos(angle - (phase * Math.PI) / 180) + form * Math.cos(2 * angle);
+  });
+}
+
+test('an empty trace has no results', () => {
+  assert.deepEqual(GaugeRunout.analyze([]), {
+    count: 0, revolutions: 1, min: null, max: null, mean: null, tir: null,
+    eccentricity: null, eccentricityAngle: null, roundness: null, points: [],
+  });
+});
+
+test('a single reading has no runout', () => {
+  const result = GaugeRunout.analyze([0.5]);
+  assert.equal(result.tir, 0);
+  assert.equal(result.eccentricity, 0);
+  assert.equal(result.roundness, 0);
+  assert.deepEqual(result.points, [{ angle: 0, value: 0.5, deviation: 0 }]);
+});
+
+test('a round part turning off-centre: TIR is twice the eccentricity and it is round', () => {
+  const result = GaugeRunout.analyze(trace(360, { e: 0.02, phase: 90 }));
+  close(result.tir, 0.04);
+  close(result.eccentricity, 0.02);
+  close(result.eccentricityAngle, 90);
+  close(result.roundness, 0);
+  close(result.mean, 1);
+});
+
+test('over two revolutions the angles wrap', () => {
+  const result = GaugeRunout.analyze(trace(200, { revolutions: 2, e: 0.01, phase: 300 }), { revolutions: 2 });
+  close(result.eccentricity, 0.01);
+  close(result.eccentricityAngle, 300);
+  assert.equal(result.points[100].angle, 0);
+  assert.ok(result.points.every(p => p.angle >= 0 && p.angle < 360));
+});
+
+test('an oval part centred: no eccentricity, the form error is its roundness', () => {
+  const result = GaugeRunout.analyze(trace(360, { e: 0, form: 0.005 }));
+  close(result.eccentricity, 0);
+  close(result.roundness, 0.01);
+  close(result.tir, 0.01);
+});
+
+test('revolutions must be positive', () => {
+  assert.throws(() => GaugeRunout.analyze([1, 2], { revolutions: 0 }), /greater than 0/);
+  assert.throws(() => GaugeRunout.analyze([1, 2], { revolutions: NaN }), /greater than 0/);
+});
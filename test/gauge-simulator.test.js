@@ -0,0 +1,110 @@
+// Drives getGaugeValues and GaugeReader through GaugeSimulator.createMockSerialPort, so the parser,
+// the reader and the simulator are checked together without hardware.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeSimulator = require('../gauge-simulator.js');
+const GaugeParser = require('../gauge-parser.js');
+const { getGaugeValues, GaugeReader } = require('../serial-gauge-log.js');
+
+const quiet = () => {};
+
+// A simulator that remembers every value it sends, to compare with what was decoded
+function recordingSimulator(options) {
+  const sim = new GaugeSimulator({ interval: 10, seed: 7, ...options });
+  const frameFor = sim.frameFor.bind(sim);
+  sim.sent = [];
+  sim.frameFor = (value) => {
+    sim.sent.push(Number(value.toFixed(sim.profile.decimals)));
+    return frameFor(value);
+  };
+  return sim;
+}
+
+GaugeSimulator.MOTIONS.forEach((motion) => {
+  test(`getGaugeValues decodes every reading of the ${motion} motion`, async () => {
+    const sim = recordingSimulator({ motion, amplitude: 2, period: 0.2, levels: [0, 1.5, -2.25] });
+    const values = await getGaugeValues({ portPath: `/dev/sim-${motion}`, source: sim, count: 8, logFunc: quiet });
+    assert.equal(values.length, 8);
+    assert.deepEqual(values.map(([value]) => value), sim.sent.slice(0, 8).map(v => v + 0)); // -0 reads as 0
+    values.forEach(([value, text]) => assert.equal(text, value.toFixed(3)));
+  });
+});
+
+test('negative readings survive the minus sign arriving in a chunk of its own', async () => {
+  const sim = new GaugeSimulator({ motion: 'constant', offset: -9.891, interval: 10, splitMinus: 1 });
+  const values = await getGaugeValues({ portPath: '/dev/sim-minus', source: sim, count: 3, logFunc: quiet });
+  assert.deepEqual(values, [[-9.891, '-9.891'], [-9.891, '-9.891'], [-9.891, '-9.891']]);
+});
+
+test('a custom motion function and another profile', async () => {
+  const sim = new GaugeSimulator({ profile: 'mm-0.01', motion: () => 3.14159, interval: 10 });
+  const values = await getGaugeValues({ portPath: '/dev/sim-fn', source: sim, count: 2, profile: 'mm-0.01', logFunc: quiet });
+  assert.deepEqual(values, [[3.14, '3.14'], [3.14, '3.14']]);
+});
+
+test('dropouts and garbage bytes never produce a wrong reading', async () => {
+  const sim = new GaugeSimulator({ motion: 'constant', offset: 1.234, interval: 5, dropout: 0.2, garbage: 0.3, seed: 3 });
+  const values = await getGaugeValues({ portPath: '/dev/sim-noisy', source: sim, count: 10, logFunc: quiet });
+  assert.equal(values.length, 10);
+  values.forEach(([value]) => assert.equal(value, 1.234));
+});
+
+test('GaugeReader emits value events and stops at the abort signal', async () => {
+  const controller = new AbortController();
+  const sim = new GaugeSimulator({ motion: 'steps', levels: [0.5], interval: 10 });
+  const reader = new GaugeReader({ portPath: '/dev/sim-reader', source: sim, signal: controller.signal, logFunc: quiet });
+  const readings = [];
+  for await (const reading of reader) {
+    readings.push(reading);
+    if (readings.length === 3) controller.abort();
+  }
+  assert.equal(readings.length, 3);
+  readings.forEach((reading) => {
+    assert.equal(reading.value, 0.5);
+    assert.equal(reading.unit, 'mm');
+    assert.ok(!isNaN(Date.parse(reading.timestamp)));
+  });
+  assert.equal(sim.running, false);
+});
+
+test('an abort while the port is opening closes it again', async () => {
+  const controller = new AbortController();
+  const sim = new GaugeSimulator({ motion: 'constant', offset: 1, interval: 10 });
+  const reader = new GaugeReader({ portPath: '/dev/sim-abort-opening', source: sim, signal: controller.signal, logFunc: quiet });
+  const opening = reader.open();
+  controller.abort();
+  await assert.rejects(opening, /^Error: GaugeReader aborted while opening$/);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(reader.closed, true);
+  assert.equal(reader.port.isOpen, false);
+  assert.equal(sim.running, false);
+});
+
+test('iterating ends with the port\'s error and lets go of the reader', async () => {
+  const sim = new GaugeSimulator({ motion: 'constant', offset: 1, interval: 10 });
+  const reader = new GaugeReader({ portPath: '/dev/sim-iterate-error', source: sim, logFunc: quiet });
+  const readings = [];
+  await assert.rejects(async () => {
+    for await (const reading of reader) {
+      readings.push(reading);
+      reader.port.emit('error', new Error('read failed'));
+    }
+  }, /^Error: read failed$/);
+  assert.ok(readings.length >= 1);
+  assert.equal(reader.closed, true);
+  assert.equal(sim.running, false);
+  assert.deepEqual(['value', 'error', 'close'].map(event => reader.listenerCount(event)), [0, 0, 0]);
+});
+
+test('chunksAt gives the frames for a moment, for tests without timers', () => {
+  const sim = new GaugeSimulator({ motion: 'sine', amplitude: 2, period: 4, splitMinus: 1 });
+  const parser = new GaugeParser();
+  const read = t => sim.chunksAt(t).flatMap(chunk => parser.feed(chunk)).map(frame => frame.value);
+  assert.deepEqual(read(0), [0]);
+  assert.deepEqual(read(1), [2]);
+  assert.deepEqual(read(3), [-2]);
+});
+
+test('unknown motions are rejected', () => {
+  assert.throws(() => new GaugeSimulator({ motion: 'zigzag' }), /Unknown motion profile: zigzag/);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeStatistics = require('../gauge-stats.js');
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('no readings', () => {
+  assert.deepEqual(new GaugeStatistics().get(), { count: 0, min: null, max: null, mean: null, stdDev: null, range: null });
+});
+
+test('a single reading has no spread', () => {
+  const stats = new GaugeStatistics();
+  stats.add(-0.5);
+  assert.deepEqual(stats.get(), { count: 1, min: -0.5, max: -0.5, mean: -0.5, stdDev: 0, range: 0 });
+});
+
+test('session statistics use the sample standard deviation', () => {
+  const stats = new GaugeStatistics();
+  [2, 4, 4, 4, 5, 5, 7, 9].forEach(v => stats.add(v));
+  const result = stats.get();
+  assert.equal(result.count, 8);
+  assert.equal(result.min, 2);
+  assert.equal(result.max, 9);
+  assert.equal(result.mean, 5);
+  assert.equal(result.range, 7);
+  close(result.stdDev, Math.sqrt(32 / 7));
+  assert.equal(stats.samples.length, 0, 'the whole session needs no samples kept');
+});
+
+test('a window of the last N readings', () => {
+  const stats = new GaugeStatistics({ windowSize: 3 });
+  [10, 1, 2, 3].forEach(v => stats.add(v));
+  const result = stats.get();
+  assert.equal(result.count, 3);
+  assert.equal(result.min, 1);
+  assert.equal(result.mean, 2);
+  assert.equal(result.range, 2);
+});
+
+test('a window of the last N seconds', () => {
+  const stats = new GaugeStatistics({ windowSeconds: 1 });
+  const now = Date.now();
+  stats.add(100, now - 5000);
+  stats.add(1, now - 500);
+  stats.add(3, now);
+  assert.deepEqual(stats.get(), { count: 2, min: 1, max: 3, mean: 2, stdDev: Math.sqrt(2), range: 2 });
+});
+
+test('changing the window keeps the session totals; a new window fills from the next reading', () => {
+  const stats = new GaugeStatistics();
+  [1, 2, 3].forEach(v => stats.add(v));
+  stats.setWindow({ windowSize: 2 });
+  assert.equal(stats.get().count, 0);
+  stats.add(4);
+  assert.equal(stats.get().count, 1);
+  assert.equal(stats.count, 4);
+  stats.setWindow();
+  assert.equal(stats.get().count, 4);
+  assert.equal(stats.get().mean, 2.5);
+});
+
+test('reset starts over', () => {
+  const stats = new GaugeStatistics({ windowSize: 5 });
+  [1, 2].forEach(v => stats.add(v));
+  stats.reset();
+  assert.equal(stats.get().count, 0);
+  stats.add(7);
+  assert.equal(stats.get().min, 7);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeTolerance = require('../gauge-tolerance.js');
+
+test('normalize fills in the limits, with minus defaulting to plus', () => {
+  assert.deepEqual(GaugeTolerance.normalize({ nominal: 12.5, plus: 0.05 }), { nominal: 12.5, plus: 0.05, minus: 0.05, warning: 0, lower: 12.45, upper: 12.55 });
+  assert.deepEqual(GaugeTolerance.normalize({ plus: 0.1, minus: 0, warning: 0.5 }).lower, 0);
+});
+
+test('normalize rejects what is not a tolerance', () => {
+  assert.throws(() => GaugeTolerance.normalize(), /must be numbers/);
+  assert.throws(() => GaugeTolerance.normalize({ plus: '0.1' }), /must be numbers/);
+  assert.throws(() => GaugeTolerance.normalize({ plus: Infinity }), /must be numbers/);
+  assert.throws(() => GaugeTolerance.normalize({ plus: -0.1 }), /must not be negative/);
+  assert.throws(() => GaugeTolerance.normalize({ plus: 0.1, warning: 1.5 }), /between 0 and 1/);
+});
+
+test('readings exactly on a limit pass, despite floating point', () => {
+  const tolerance = GaugeTolerance.normalize({ nominal: 12.5, plus: 0.05, minus: 0.03 });
+  assert.equal(12.55 - 12.5 > 0.05, true, 'the deviation itself is a hair over');
+  assert.equal(GaugeTolerance.classify(12.55, tolerance), 'pass');
+  assert.equal(GaugeTolerance.classify(12.47, tolerance), 'pass');
+  assert.equal(GaugeTolerance.classify(12.551, tolerance), 'fail');
+  assert.equal(GaugeTolerance.classify(12.469, tolerance), 'fail');
+});
+
+test('the warning band is measured in from each limit', () => {
+  const tolerance = GaugeTolerance.normalize({ nominal: 0, plus: 0.05, minus: 0.1, warning: 0.2 });
+  assert.equal(GaugeTolerance.classify(0, tolerance), 'pass');
+  assert.equal(GaugeTolerance.classify(0.039, tolerance), 'pass');
+  assert.equal(GaugeTolerance.classify(0.045, tolerance), 'warn');
+  assert.equal(GaugeTolerance.classify(0.05, tolerance), 'warn');
+  assert.equal(GaugeTolerance.classify(-0.079, tolerance), 'pass');
+  assert.equal(GaugeTolerance.classify(-0.085, tolerance), 'warn');
+  assert.equal(GaugeTolerance.classify(-0.1001, tolerance), 'fail');
+});
+
+test('a zero tolerance passes only the nominal size', () => {
+  const tolerance = GaugeTolerance.normalize({ nominal: 5, plus: 0, warning: 0.5 });
+  assert.equal(GaugeTolerance.classify(5, tolerance), 'pass');
+  assert.equal(GaugeTolerance.classify(5.001, tolerance), 'fail');
+  assert.equal(GaugeTolerance.classify(4.999, tolerance), 'fail');
+});
+
+test('every result is one of RESULTS', () => {
+  const tolerance = GaugeTolerance.normalize({ plus: 1, warning: 0.5 });
+  [-2, -0.75, 0, 0.75, 2].forEach(v => assert.ok(GaugeTolerance.RESULTS.includes(GaugeTolerance.classify(v, tolerance))));
+});
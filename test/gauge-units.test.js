@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GaugeUnits = require('../gauge-units.js');
+
+test('unit accepts the usual spellings and rejects anything else', () => {
+  assert.equal(GaugeUnits.unit('mm'), 'mm');
+  assert.equal(GaugeUnits.unit(' Inches '), 'in');
+  assert.equal(GaugeUnits.unit('µm'), 'um');
+  assert.equal(GaugeUnits.unit('μm'), 'um');
+  assert.equal(GaugeUnits.unit('MIL'), 'thou');
+  assert.throws(() => GaugeUnits.unit('furlong'), /Unknown unit: furlong \(expected mm, in, um, thou\)/);
+  assert.deepEqual(GaugeUnits.list(), ['mm', 'in', 'um', 'thou']);
+  assert.equal(GaugeUnits.label('micron'), 'µm');
+});
+
+test('convert scales between units without floating point noise', () => {
+  assert.equal(GaugeUnits.convert(1, 'in', 'mm'), 25.4);
+  assert.equal(GaugeUnits.convert(0.1, 'mm', 'um'), 100);
+  assert.equal(GaugeUnits.fromMm(0.0254, 'thou'), 1);
+  assert.equal(GaugeUnits.toMm(0.5, 'in'), 12.7);
+  assert.equal(GaugeUnits.convert(0.1 + 0.2, 'mm', 'mm'), 0.3);
+  assert.equal(GaugeUnits.convert(null, 'mm', 'in'), null);
+  assert.equal(GaugeUnits.convert(undefined, 'mm', 'in'), undefined);
+});
+
+test('decimals: the unit resolution unless given', () => {
+  assert.equal(GaugeUnits.decimals('mm'), 3);
+  assert.equal(GaugeUnits.decimals('in', null), 4);
+  assert.equal(GaugeUnits.decimals('um', ''), 1);
+  assert.equal(GaugeUnits.decimals('thou', '0'), 0);
+  assert.equal(GaugeUnits.convertDecimals(3, 'mm', 'in'), 5);
+  assert.equal(GaugeUnits.convertDecimals(4, 'in', 'mm'), 3);
+  assert.equal(GaugeUnits.convertDecimals(2, 'mm', 'um'), 0);
+});
+
+test('format rounds to the decimals and can add the label', () => {
+  assert.equal(GaugeUnits.format(12.7, 'thou'), '12.70');
+  assert.equal(GaugeUnits.format(12.7, 'thou', { decimals: 0, label: true }), '13 thou');
+  assert.equal(GaugeUnits.format(-0.5, 'um', { label: true }), '-0.5 µm');
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SerialPort } = require('serialport');
+const { portMatches, formatPortList, findGaugePort, probePort } = require('../serial-gauge-log.js');
+
+const CH340 = { path: '/dev/ttyUSB0', vendorId: '1a86', productId: '7523', serialNumber: undefined, manufacturer: 'wch.cn' };
+const FTDI = { path: '/dev/ttyUSB1', vendorId: '0403', productId: '6001', serialNumber: 'A1B2C3', manufacturer: 'FTDI' };
+const BUILTIN = { path: '/dev/ttyS0' };
+
+// listPorts() asks serialport; list these ports instead
+function withPorts(t, ports) {
+  const list = SerialPort.list;
+  SerialPort.list = async () => ports;
+  t.after(() => {
+    SerialPort.list = list;
+  });
+}
+
+test('portMatches compares USB ids without regard to case; ids left out match anything', () => {
+  assert.equal(portMatches(CH340), true);
+  assert.equal(portMatches(CH340, { vendorId: '1A86' }), true);
+  assert.equal(portMatches(CH340, { vendorId: '1a86', productId: '7524' }), false);
+  assert.equal(portMatches(FTDI, { serialNumber: 'a1b2c3' }), true);
+  assert.equal(portMatches(CH340, { serialNumber: 'A1B2C3' }), false, 'a port without a serial number does not match one');
+  assert.equal(portMatches(BUILTIN, { vendorId: '1a86' }), false);
+});
+
+test('formatPortList lines up the columns', () => {
+  assert.equal(formatPortList([]), 'No serial ports found');
+  assert.equal(formatPortList([CH340, FTDI, BUILTIN]), [
+    'PATH          VID:PID    SERIAL  MANUFACTURER',
+    '/dev/ttyUSB0  1a86:7523  -       wch.cn',
+    '/dev/ttyUSB1  0403:6001  A1B2C3  FTDI',
+    '/dev/ttyS0    -          -       -',
+  ].join('\n'));
+});
+
+test('findGaugePort takes the only port matching the USB ids without probing', async (t) => {
+  withPorts(t, [CH340, FTDI, BUILTIN]);
+  assert.equal(await findGaugePort({ vendorId: '0403', probe: false, logFunc: () => {} }), FTDI);
+  assert.equal(await findGaugePort({ vendorId: 'ffff', probe: false, logFunc: () => {} }), null);
+});
+
+test('findGaugePort probes the candidates and gives null when none sends gauge frames', async (t) => {
+  withPorts(t, [{ path: '/dev/no-such-gauge-0' }, { path: '/dev/no-such-gauge-1' }]);
+  const lines = [];
+  assert.equal(await findGaugePort({ probeTime: 50, logFunc: line => lines.push(line) }), null);
+  assert.deepEqual(lines, ['[STATUS] Probing 2 port(s) for gauge data: /dev/no-such-gauge-0, /dev/no-such-gauge-1']);
+});
+
+test('a port that cannot be opened is not a gauge', async () => {
+  assert.equal(await probePort('/dev/no-such-gauge', { probeTime: 50 }), false);
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SerialGaugeHandler = require('../claudes-crap/serial-handler-node.js');
+const BrowserSerialGaugeHandler = require('../claudes-crap/serial-handler.js');
+const GaugeSimulator = require('../gauge-simulator.js');
+
+// A handler that records what it hands to valueCallback
+function handlerFor(options = {}, Handler = SerialGaugeHandler) {
+  const shown = [];
+  const handler = new Handler({ loggingEnabled: false, valueCallback: (value, unit, mode) => shown.push({ value, unit, mode }), ...options });
+  handler.shown = shown;
+  // Send the frames a gauge at value would
+  handler.read = (...values) => values.forEach((value) => {
+    const { minus, body } = new GaugeSimulator({ profile: handler.profile }).frameFor(value);
+    handler.processFrames(Buffer.from(minus + body, 'latin1'));
+  });
+  return handler;
+}
+
+const TABLE = { unit: 'mm', points: [{ nominal: 0, reading: 0 }, { nominal: 10, reading: 10.01 }] };
+
+for (const [name, Handler] of [['Node', SerialGaugeHandler], ['browser', BrowserSerialGaugeHandler]]) {
+  test(`${name} handler: frames are calibrated, exported and counted`, () => {
+    const handler = handlerFor({ calibration: TABLE }, Handler);
+    handler.read(10.01, 5.005);
+    assert.deepEqual(handler.shown.map(s => s.value), [10, 5]);
+    assert.equal(handler.lastReading, 5);
+    assert.deepEqual(handler.getData().map(d => [d.value, d.uncorrected, d.unit]), [[10, 10.01, 'mm'], [5, 5.005, 'mm']]);
+    assert.equal(handler.getStatistics().count, 2);
+    assert.equal(handler.getCalibrationStatus().state, 'unknown');
+    assert.equal(handler.setCalibration(null), null);
+    handler.read(10.01);
+    assert.equal(handler.lastReading, 10.01);
+    assert.equal(handler.getData()[2].uncorrected, undefined);
+  });
+
+  test(`${name} handler: values are shown in the display unit, the zero stays in the gauge's`, () => {
+    const handler = handlerFor({ defaultUnit: 'in', displayDecimals: 3 }, Handler);
+    handler.read(12.7);
+    assert.deepEqual(handler.shown.pop(), { value: 0.5, unit: 'in', mode: undefined });
+    assert.equal(handler.formatValue(12.7), '0.500');
+    assert.ok(handler.zeroGauge(0.5));
+    assert.equal(handler.offset, 12.7);
+    assert.equal(handler.setUnit('thou'), 'thou');
+    assert.equal(handler.currentUnit, 'thou');
+    handler.read(12.954);
+    assert.deepEqual(handler.shown.pop(), { value: 10, unit: 'thou', mode: undefined });
+    assert.deepEqual([handler.getStatistics().max, handler.getStatistics().unit], [10, 'thou']);
+    assert.equal(handler.toggleUnit(), 'mm');
+    handler.displayDecimals = 1;
+    assert.equal(handler.formatValue(0.26), '0.3');
+    assert.throws(() => handler.setUnit('furlong'), /Unknown unit/);
+  });
+
+  test(`${name} handler: presets, datums and undo`, () => {
+    const handler = handlerFor({ datums: { datums: [{ name: 'Bench', offset: 1 }] } }, Handler);
+    assert.equal(handler.presetGauge(5), false, 'no reading yet');
+    handler.read(3);
+    assert.deepEqual(handler.shown.pop().value, 2);
+    assert.ok(handler.presetGauge(0.5, 'in'));
+    assert.deepEqual(handler.shown.pop().value, 12.7);
+    assert.equal(handler.selectDatum('Fixture'), 'Fixture');
+    assert.deepEqual([handler.offset, handler.shown.pop().value], [0, 3]);
+    handler.selectDatum('Bench');
+    assert.equal(handler.setDisplayMode('incremental'), 'incremental');
+    handler.zeroGauge();
+    assert.equal(handler.datums.datum.offset, -9.7, 'an incremental zero leaves the datum alone');
+    assert.ok(handler.undoZero());
+    assert.ok(handler.undoZero());
+    assert.equal(handler.offset, 1);
+    assert.equal(handler.undoZero(), false);
+  });
+
+  test(`${name} handler: the held value is shown with its mode`, () => {
+    const handler = handlerFor({ holdMode: 'max' }, Handler);
+    handler.read(1, 3, 2);
+    assert.deepEqual(handler.shown.pop(), { value: 3, unit: 'mm', mode: 'max' });
+    assert.equal(handler.setHoldMode('min'), 'min');
+    assert.deepEqual(handler.shown.pop(), { value: 1, unit: 'mm', mode: 'min' });
+    assert.ok(handler.resetHold());
+    assert.deepEqual(handler.getHold(), { mode: 'min', value: 2, max: 2, min: 2, unit: 'mm' });
+    handler.setCalibration(TABLE);
+    assert.equal(handler.getHold().value, null, 'held under the old correction');
+    handler.setHoldMode('off');
+    handler.read(4);
+    assert.deepEqual(handler.shown.pop(), { value: handler.correct(4), unit: 'mm', mode: undefined });
+  });
+
+  test(`${name} handler: unframed packets lock onto the decoder that keeps winning`, () => {
+    const locks = [];
+    const handler = handlerFor({ decoders: ['ascii-text', 'ascii-decimal'], decoderCallback: id => locks.push(id) }, Handler);
+    ['1.250', '1.251', '1.252'].forEach(text => handler.processPacket(Buffer.from(text)));
+    assert.deepEqual(handler.shown.map(s => s.value), [1.25, 1.251, 1.252]);
+    assert.deepEqual(handler.getData().map(d => d.decoder), ['ascii-decimal', 'ascii-decimal', 'ascii-decimal']);
+    assert.deepEqual(handler.getDecoderStatus(), { enabled: ['ascii-text', 'ascii-decimal'], locked: 'ascii-decimal', framed: false });
+    assert.equal(handler.enableDecoder('int16'), 'int16');
+    assert.ok(handler.disableDecoder('ascii-decimal'));
+    assert.equal(handler.disableDecoder('ascii-decimal'), false);
+    assert.deepEqual(handler.getDecoderStatus(), { enabled: ['ascii-text', 'int16'], locked: null, framed: false });
+    assert.deepEqual(locks, ['ascii-decimal', null]);
+  });
+}
+
+test('the browser handler names a shared module its page did not load', () => {
+  const modules = ['GaugeUnits', 'GaugeProfiles', 'GaugeParser', 'GaugeDecoders', 'GaugeCalibration', 'GaugeStatistics', 'GaugeDatums', 'GaugeHold', 'GaugeReadout'];
+  global.window = Object.fromEntries(modules.map(name => [name, {}]));
+  try {
+    delete global.window.GaugeDecoders;
+    assert.throws(() => new BrowserSerialGaugeHandler(), /^Error: SerialGaugeHandler needs gauge-decoders\.js: load it with a <script> tag before serial-handler\.js$/);
+  } finally {
+    delete global.window;
+  }
+});
+
+test('a calibration applies in the gauge unit after a profile change', () => {
+  const handler = handlerFor({ calibration: TABLE });
+  handler.read(1);
+  handler.setProfile('in-0.0001');
+  assert.equal(handler.gaugeUnit, 'in');
+  assert.equal(handler.getStatistics().count, 0, 'statistics start over in the new unit');
+  handler.read(0.3941);
+  assert.equal(handler.lastReading, handler.correct(0.3941));
+  assert.ok(handler.lastReading < 0.3941);
+});
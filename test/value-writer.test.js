@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createValueWriter, formatStatistics, FORMATS } = require('../serial-gauge-log.js');
+
+function output() {
+  const stream = { text: '', write(chunk) { stream.text += chunk; } };
+  return stream;
+}
+
+// Run the CLI until it has logged `readings` values, then interrupt it
+function interruptCli(args, readings = 3) {
+  return new Promise((resolve, reject) => {
+    const cli = spawn(process.execPath, [path.join(__dirname, '..', 'serial-gauge-log.js'), ...args]);
+    let stdout = '';
+    const killer = setTimeout(() => cli.kill('SIGKILL'), 10000);
+    cli.stdout.on('data', (chunk) => {
+      const before = (stdout.match(/\[VALUE\]/g) || []).length;
+      stdout += chunk;
+      if (before < readings && (stdout.match(/\[VALUE\]/g) || []).length >= readings) cli.kill('SIGINT');
+    });
+    cli.on('error', reject);
+    cli.on('close', (code) => {
+      clearTimeout(killer);
+      resolve({ code, stdout });
+    });
+  });
+}
+
+const A = { timestamp: '2025-05-17T13:06:25.976Z', value: 1.5, text: '1.500', unit: 'mm' };
+const B = { timestamp: '2025-05-17T13:06:26.176Z', value: -0.25, text: '-0.250', unit: 'mm' };
+const GAP = { timestamp: '2025-05-17T13:06:27.000Z' };
+
+function written(format, options, entries = [A, B]) {
+  const stream = output();
+  const writer = createValueWriter(format, stream, options);
+  entries.forEach(entry => (entry.text === undefined ? writer.gap(entry) : writer.write(entry)));
+  writer.end();
+  return stream.text;
+}
+
+test('csv, with a header unless appending', () => {
+  assert.equal(written('csv'), 'timestamp,value,unit\n2025-05-17T13:06:25.976Z,1.500,mm\n2025-05-17T13:06:26.176Z,-0.250,mm\n');
+  assert.equal(written('csv', { header: false }, [A]), '2025-05-17T13:06:25.976Z,1.500,mm\n');
+});
+
+test('csv with the uncorrected column, at the reading\'s resolution', () => {
+  const text = written('csv', { uncorrected: true }, [{ ...A, uncorrected: 1.5021 }, GAP]);
+  assert.equal(text, 'timestamp,value,uncorrected,unit\n2025-05-17T13:06:25.976Z,1.500,1.502,mm\n2025-05-17T13:06:27.000Z,disconnected,,\n');
+});
+
+test('jsonl and json', () => {
+  assert.deepEqual(written('jsonl').trim().split('\n').map(line => JSON.parse(line)), [A, B]);
+  assert.deepEqual(JSON.parse(written('json')), [A, B]);
+  assert.deepEqual(JSON.parse(written('json', {}, [])), []);
+  assert.deepEqual(JSON.parse(written('json', {}, [GAP, A])), [{ timestamp: GAP.timestamp, gap: 'disconnected' }, A]);
+});
+
+test('plain text, with gaps as comments', () => {
+  assert.equal(written('plain', {}, [A, { ...GAP, reason: 'no answer to poll 3' }]), `1.500\n# no answer to poll 3 ${GAP.timestamp}\n`);
+});
+
+test('gaps in every format', () => {
+  FORMATS.forEach(format => assert.match(written(format, {}, [GAP]), /disconnected/));
+});
+
+test('unknown formats are an error', () => {
+  assert.throws(() => createValueWriter('xml', output()), /Unknown format: xml \(expected csv, jsonl, json, plain\)/);
+});
+
+test('formatStatistics', () => {
+  assert.equal(formatStatistics({ count: 0 }, 'mm'), 'no readings');
+  assert.equal(formatStatistics({ count: 2, min: -0.25, max: 1.5, mean: 0.625, stdDev: 0.875, range: 1.75 }, 'mm'),
+    'n=2 min=-0.250 max=1.500 mean=0.625 sd=0.8750 range=1.750 mm');
+  assert.equal(formatStatistics({ count: 1, min: 1, max: 1, mean: 1, stdDev: 0, range: 0 }, 'in', 4), 'n=1 min=1.0000 max=1.0000 mean=1.0000 sd=0.00000 range=0.0000 in');
+});
+
+test('Ctrl+C ends an open-ended run with the json output closed off', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gauge-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'readings.json');
+  const { code } = await interruptCli(['--simulate', '--format', 'json', '--output', file, '--quiet']);
+  assert.equal(code, 0);
+  const readings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.ok(readings.length >= 3);
+  assert.equal(readings[0].unit, 'mm');
+});
+
+test('Ctrl+C still prints the --stats summary', async () => {
+  const { code, stdout } = await interruptCli(['--simulate', '--stats', '--quiet']);
+  assert.equal(code, 0);
+  assert.match(stdout, /\[STATS\] n=\d+ /);
+});